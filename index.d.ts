@@ -3,15 +3,33 @@ type FocusableElement = HTMLElement | SVGElement;
 export type CheckOptions = {
   displayCheck?: 'full' | 'legacy-full' | 'non-zero-area' | 'none';
   getShadowRoot?: boolean | ((node: FocusableElement) => ShadowRoot | boolean | undefined);
+  modalCheck?: boolean | 'fullscreen';
+  iframes?: 'skip' | 'element' | 'descend';
 };
 
 export type TabbableOptions = {
   includeContainer?: boolean;
 };
 
+export type DirectionOptions = {
+  direction?: 'forward' | 'backward';
+};
+
+export type FocusgroupOptions = {
+  focusgroup?: boolean;
+};
+
+export type OrderOptions = {
+  order?: 'tab' | 'dom' | 'visual';
+};
+
 export declare function tabbable(
   container: Element,
-  options?: TabbableOptions & CheckOptions
+  options?: TabbableOptions &
+    OrderOptions &
+    DirectionOptions &
+    FocusgroupOptions &
+    CheckOptions
 ): FocusableElement[];
 
 export declare function focusable(
@@ -28,3 +46,343 @@ export declare function isFocusable(
   element: Element,
   options?: CheckOptions
 ): boolean;
+
+export type RelativeTabbableOptions = {
+  container?: Element;
+  wrap?: boolean;
+};
+
+export declare function getNextTabbable(
+  node: Element,
+  options?: RelativeTabbableOptions &
+    TabbableOptions &
+    FocusgroupOptions &
+    CheckOptions
+): FocusableElement | null;
+
+export declare function getPreviousTabbable(
+  node: Element,
+  options?: RelativeTabbableOptions &
+    TabbableOptions &
+    FocusgroupOptions &
+    CheckOptions
+): FocusableElement | null;
+
+export declare function getSequentialFocusTarget(
+  startingPoint?: Node | Range | null,
+  options?: DirectionOptions &
+    FocusgroupOptions &
+    RelativeTabbableOptions &
+    TabbableOptions &
+    CheckOptions
+): FocusableElement | null;
+
+export type IterateOptions = {
+  reverse?: boolean;
+};
+
+export declare function iterateTabbable(
+  container: Element,
+  options?: IterateOptions &
+    TabbableOptions &
+    OrderOptions &
+    DirectionOptions &
+    FocusgroupOptions &
+    CheckOptions
+): Generator<FocusableElement, void, undefined>;
+
+export declare function iterateFocusable(
+  container: Element,
+  options?: IterateOptions & TabbableOptions & CheckOptions
+): Generator<FocusableElement, void, undefined>;
+
+export declare function firstTabbable(
+  container: Element,
+  options?: TabbableOptions &
+    OrderOptions &
+    DirectionOptions &
+    FocusgroupOptions &
+    CheckOptions
+): FocusableElement | null;
+
+export declare function lastTabbable(
+  container: Element,
+  options?: TabbableOptions &
+    OrderOptions &
+    DirectionOptions &
+    FocusgroupOptions &
+    CheckOptions
+): FocusableElement | null;
+
+export type TabbablesDiff = {
+  tabbables: FocusableElement[];
+  previousTabbables: FocusableElement[];
+  added: FocusableElement[];
+  removed: FocusableElement[];
+  reordered: boolean;
+};
+
+export type TabbablesObserver = {
+  getTabbables: () => FocusableElement[];
+  update: () => void;
+  disconnect: () => void;
+};
+
+export declare function observeTabbables(
+  container: Element,
+  callback: (diff: TabbablesDiff) => void,
+  options?: TabbableOptions &
+    OrderOptions &
+    DirectionOptions &
+    FocusgroupOptions &
+    CheckOptions
+): TabbablesObserver;
+
+export type TabbableContextOptions = {
+  autoInvalidate?: boolean | Node;
+};
+
+export type TabbableContext = {
+  tabbable: typeof tabbable;
+  focusable: typeof focusable;
+  isTabbable: typeof isTabbable;
+  isFocusable: typeof isFocusable;
+  iterateTabbable: typeof iterateTabbable;
+  iterateFocusable: typeof iterateFocusable;
+  firstTabbable: typeof firstTabbable;
+  lastTabbable: typeof lastTabbable;
+  getNextTabbable: typeof getNextTabbable;
+  getPreviousTabbable: typeof getPreviousTabbable;
+  getSequentialFocusTarget: typeof getSequentialFocusTarget;
+  explainTabbable: typeof explainTabbable;
+  explainFocusable: typeof explainFocusable;
+  invalidate: () => void;
+  disconnect: () => void;
+};
+
+export declare function createTabbableContext(
+  options?: TabbableContextOptions &
+    TabbableOptions &
+    DirectionOptions &
+    FocusgroupOptions &
+    CheckOptions
+): TabbableContext;
+
+export type ExplanationReasonCode =
+  | 'not-candidate'
+  | 'non-tabbable-radio'
+  | 'negative-tabindex'
+  | 'disabled'
+  | 'inert'
+  | 'outside-modal'
+  | 'hidden-input'
+  | 'visibility-hidden'
+  | 'closed-details'
+  | 'undisclosed-shadow-zero-area'
+  | 'not-displayed'
+  | 'detached'
+  | 'zero-area'
+  | 'details-with-summary'
+  | 'disabled-fieldset';
+
+export type ExplanationReason = {
+  code: ExplanationReasonCode;
+  element: Element;
+};
+
+export type Explanation = {
+  verdict: boolean;
+  reasons: ExplanationReason[];
+};
+
+export declare function explainTabbable(
+  element: Element,
+  options?: CheckOptions
+): Explanation;
+
+export declare function explainFocusable(
+  element: Element,
+  options?: CheckOptions
+): Explanation;
+
+export type AuditIssue = {
+  code:
+    | 'positive-tabindex'
+    | 'interactive-not-tabbable'
+    | 'aria-hidden'
+    | 'zero-area'
+    | 'scrollable-without-tabbable'
+    | 'nested-interactive';
+  severity: 'error' | 'warning';
+  element: Element;
+  relatedElement?: Element;
+};
+
+export declare function auditTabOrder(
+  container: Element,
+  options?: TabbableOptions & CheckOptions
+): AuditIssue[];
+
+export type VisualOrderOptions = {
+  threshold?: number;
+  container?: Element;
+  writingMode?: string;
+  dir?: 'ltr' | 'rtl';
+};
+
+export type VisualOrderMismatch = {
+  from: Element;
+  to: Element;
+};
+
+export type VisualOrderComparison = {
+  mismatches: VisualOrderMismatch[];
+  visualOrder: Element[];
+};
+
+export declare function compareVisualOrder(
+  elements: Element[],
+  options?: VisualOrderOptions
+): VisualOrderComparison;
+
+export type SpatialDirection = 'up' | 'down' | 'left' | 'right';
+
+export type SpatialNavigationOptions = {
+  container?: Element;
+};
+
+export declare function findNextInDirection(
+  from: Element,
+  direction: SpatialDirection,
+  options?: SpatialNavigationOptions & CheckOptions
+): FocusableElement | null;
+
+export type RovingTabindexOptions = {
+  itemSelector?: string;
+  orientation?: 'horizontal' | 'vertical' | 'both';
+  wrap?: boolean;
+  homeEnd?: boolean;
+  typeahead?: boolean;
+};
+
+export type RovingTabindex = {
+  getItems: () => FocusableElement[];
+  getActiveItem: () => FocusableElement | null;
+  setActiveItem: (item: Element) => void;
+  update: () => void;
+  destroy: () => void;
+};
+
+export declare function createRovingTabindex(
+  container: Element,
+  options?: RovingTabindexOptions & CheckOptions
+): RovingTabindex;
+
+export type FocusgroupPolyfill = {
+  destroy: () => void;
+};
+
+export declare function polyfillFocusgroup(
+  root?: Document | ShadowRoot | Element,
+  options?: TabbableOptions & CheckOptions
+): FocusgroupPolyfill;
+
+export declare function getGridModel(
+  grid: Element
+): Array<Array<Element | null>>;
+
+export declare function getGridFocusTarget(
+  cell: Element,
+  options?: CheckOptions
+): FocusableElement | null;
+
+export type GridNavigationOptions = {
+  grid?: Element;
+  pageSize?: number;
+};
+
+export declare function findNextInGrid(
+  node: Element,
+  event: { key: string; ctrlKey?: boolean },
+  options?: GridNavigationOptions & CheckOptions
+): FocusableElement | null;
+
+export type TypeaheadOptions = {
+  tabbable?: boolean;
+  timeout?: number;
+};
+
+export type Typeahead = {
+  reset: () => void;
+  destroy: () => void;
+};
+
+export declare function createTypeahead(
+  container: Element,
+  options?: TypeaheadOptions & TabbableOptions & CheckOptions
+): Typeahead;
+
+export type FocusScopeOptions = {
+  loop?: boolean;
+  initialFocus?: FocusableElement | string | (() => FocusableElement) | false;
+  returnFocus?: boolean | FocusableElement;
+  contain?: boolean;
+};
+
+export type FocusScope = {
+  pause: () => void;
+  resume: () => void;
+  destroy: () => void;
+};
+
+export declare function createFocusScope(
+  container: Element,
+  options?: FocusScopeOptions & CheckOptions
+): FocusScope;
+
+export type FocusScopeStack = {
+  push: (
+    container: Element,
+    options?: FocusScopeOptions & CheckOptions
+  ) => FocusScope;
+  pop: () => FocusScope | null;
+  pause: () => void;
+  resume: () => void;
+  getActiveScope: () => FocusScope | null;
+};
+
+export declare function createFocusScopeStack(): FocusScopeStack;
+
+export type SaveFocusOptions = {
+  container?: Element;
+};
+
+export type SavedFocus = {
+  readonly node: Element | null;
+};
+
+export declare function saveFocus(
+  options?: SaveFocusOptions & TabbableOptions & CheckOptions
+): SavedFocus;
+
+export type RestoreFocusOptions = {
+  preventScroll?: boolean;
+};
+
+export declare function restoreFocus(
+  token: SavedFocus,
+  options?: RestoreFocusOptions &
+    SaveFocusOptions &
+    TabbableOptions &
+    CheckOptions
+): FocusableElement | null;
+
+export declare function getDeepActiveElement(
+  root?: Document | ShadowRoot,
+  options?: Pick<CheckOptions, 'getShadowRoot'>
+): Element | null;
+
+export declare function containsFocus(
+  container: Element,
+  options?: Pick<CheckOptions, 'getShadowRoot'>
+): boolean;
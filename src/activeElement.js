@@ -0,0 +1,46 @@
+import { getComposedPath } from './core.js';
+
+/**
+ * Gets the focused node, drilling down into shadow roots, unlike `document.activeElement`
+ *  which stops at the top-most shadow host.
+ * @param {Document|ShadowRoot} [root] Defaults to the document.
+ * @param {Object} [options]
+ * @param {GetShadowRoot|boolean} [options.getShadowRoot] To also drill down into closed
+ *  shadow roots; undisclosed ones (i.e. `true`) can't be, so their host is returned.
+ * @returns {Element|null}
+ */
+const getDeepActiveElement = function (root, options) {
+  const getShadowRoot = options?.getShadowRoot;
+  let activeElement = (root || document).activeElement;
+  while (activeElement) {
+    const shadowRoot =
+      activeElement.shadowRoot ||
+      (typeof getShadowRoot === 'function' && getShadowRoot(activeElement));
+    if (!shadowRoot?.activeElement) {
+      break;
+    }
+    activeElement = shadowRoot.activeElement;
+  }
+  return activeElement || null;
+};
+
+/**
+ * Determines if the focused node is inside a container in the flat tree, so light DOM
+ *  nodes are inside the shadow DOM nodes they're slotted into.
+ * @param {Element} container
+ * @param {Object} [options] `getShadowRoot` option.
+ * @returns {boolean}
+ */
+const containsFocus = function (container, options) {
+  if (!container) {
+    throw new Error('No container provided');
+  }
+
+  const activeElement = getDeepActiveElement(container.ownerDocument, options);
+  return (
+    !!activeElement &&
+    getComposedPath(activeElement, options?.getShadowRoot).includes(container)
+  );
+};
+
+export { getDeepActiveElement, containsFocus };
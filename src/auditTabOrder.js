@@ -0,0 +1,166 @@
+import {
+  tabbable,
+  focusable,
+  matches,
+  getTabindex,
+  isNonTabbableRadio,
+  isZeroArea,
+} from './core.js';
+
+// native controls and widget roles, which should neither be removed from the tab order
+//  nor contain other interactive elements
+const interactiveSelector = [
+  'a[href]',
+  'button',
+  'input:not([type="hidden"])',
+  'select',
+  'textarea',
+  'summary',
+  'audio[controls]',
+  'video[controls]',
+  'iframe',
+  '[role="button"]',
+  '[role="checkbox"]',
+  '[role="link"]',
+  '[role="menuitem"]',
+  '[role="option"]',
+  '[role="radio"]',
+  '[role="switch"]',
+  '[role="tab"]',
+].join(',');
+
+// composite widgets, whose items are typically managed with a roving tabindex (i.e. only
+//  one of them is tabbable at a time) or `aria-activedescendant`
+const compositeSelector = [
+  '[role="grid"]',
+  '[role="listbox"]',
+  '[role="menu"]',
+  '[role="menubar"]',
+  '[role="radiogroup"]',
+  '[role="tablist"]',
+  '[role="toolbar"]',
+  '[role="tree"]',
+  '[role="treegrid"]',
+].join(',');
+
+/**
+ * @typedef {Object} AuditIssue
+ * @property {string} code
+ * @property {'error'|'warning'} severity
+ * @property {Element} element The node with the issue.
+ * @property {Element} [relatedElement] The other node involved, if any (e.g. the
+ *  `aria-hidden` ancestor, or the interactive ancestor).
+ */
+
+/**
+ * @param {Element} el
+ * @returns {boolean} True if the element's content overflows and can be scrolled.
+ */
+const isScrollable = function (el) {
+  const { overflowX, overflowY } = getComputedStyle(el);
+  return (
+    (/^(auto|scroll)$/.test(overflowY) && el.scrollHeight > el.clientHeight) ||
+    (/^(auto|scroll)$/.test(overflowX) && el.scrollWidth > el.clientWidth)
+  );
+};
+
+/**
+ * Audits the tab order within a container for common keyboard accessibility issues.
+ * @param {Element} container
+ * @param {Object} [options] `tabbable()` options.
+ * @returns {AuditIssue[]} Issues, grouped by code, in tab order (or DOM order for nodes
+ *  that aren't tabbable).
+ */
+const auditTabOrder = function (container, options) {
+  options = options || {};
+  if (!container) {
+    throw new Error('No container provided');
+  }
+
+  const tabbables = tabbable(container, options);
+  const focusables = focusable(container, options);
+  const tabbableSet = new Set(tabbables);
+  const issues = [];
+
+  tabbables.forEach((el) => {
+    if (getTabindex(el) > 0) {
+      issues.push({
+        code: 'positive-tabindex',
+        severity: 'warning',
+        element: el,
+      });
+    }
+  });
+
+  focusables.forEach((el) => {
+    // NOTE: radios that aren't tabbable because of their group are fine, and so are
+    //  items of a composite widget that has a tabbable member (i.e. a tab stop)
+    const composite = el.closest(compositeSelector);
+    if (
+      !tabbableSet.has(el) &&
+      !isNonTabbableRadio(el) &&
+      !(
+        composite &&
+        tabbables.some((tabbableEl) => composite.contains(tabbableEl))
+      ) &&
+      matches.call(el, interactiveSelector)
+    ) {
+      issues.push({
+        code: 'interactive-not-tabbable',
+        severity: 'warning',
+        element: el,
+      });
+    }
+  });
+
+  tabbables.forEach((el) => {
+    const hiddenAncestor = el.closest('[aria-hidden="true"]');
+    if (hiddenAncestor) {
+      issues.push({
+        code: 'aria-hidden',
+        severity: 'error',
+        element: el,
+        relatedElement: hiddenAncestor,
+      });
+    }
+  });
+
+  tabbables.forEach((el) => {
+    if (isZeroArea(el)) {
+      issues.push({ code: 'zero-area', severity: 'error', element: el });
+    }
+  });
+
+  const elements = Array.prototype.slice.apply(container.querySelectorAll('*'));
+  elements.unshift(container);
+  elements.forEach((el) => {
+    if (
+      !tabbableSet.has(el) &&
+      isScrollable(el) &&
+      !tabbables.some((tabbableEl) => el.contains(tabbableEl))
+    ) {
+      // keyboard users can't scroll it
+      issues.push({
+        code: 'scrollable-without-tabbable',
+        severity: 'error',
+        element: el,
+      });
+    }
+  });
+
+  focusables.forEach((el) => {
+    const interactiveAncestor = el.parentElement?.closest(interactiveSelector);
+    if (interactiveAncestor && container.contains(interactiveAncestor)) {
+      issues.push({
+        code: 'nested-interactive',
+        severity: 'error',
+        element: el,
+        relatedElement: interactiveAncestor,
+      });
+    }
+  });
+
+  return issues;
+};
+
+export { auditTabOrder };
@@ -0,0 +1,91 @@
+import {
+  tabbable,
+  focusable,
+  isTabbable,
+  isFocusable,
+  iterateTabbable,
+  iterateFocusable,
+  firstTabbable,
+  lastTabbable,
+  createCache,
+  getShadowRoots,
+  observedAttributes,
+  validateOptions,
+} from './core.js';
+import {
+  getNextTabbable,
+  getPreviousTabbable,
+  getSequentialFocusTarget,
+} from './sequentialNavigation.js';
+import { explainTabbable, explainFocusable } from './explain.js';
+
+/**
+ * Creates a context in which the results of ancestor look-ups (inertness, disabled
+ *  fieldsets, attachment to the document, undisclosed shadows) and computed visibility
+ *  are cached across calls, until invalidated.
+ * @param {Object} [options] Default options for all APIs, plus `autoInvalidate`.
+ * @returns {Object} The context's APIs, plus `invalidate()` and `disconnect()`.
+ */
+const createTabbableContext = function (options) {
+  options = options || {};
+  validateOptions(options);
+  let cache = createCache();
+  let observer = null;
+
+  const invalidate = function () {
+    cache = createCache();
+  };
+
+  const disconnect = function () {
+    observer?.disconnect();
+    observer = null;
+  };
+
+  const autoInvalidate = function () {
+    invalidate();
+
+    // re-observe since shadow roots may have been added or removed
+    disconnect();
+    const root =
+      options.autoInvalidate === true
+        ? document.documentElement
+        : options.autoInvalidate;
+    observer = new MutationObserver(autoInvalidate);
+    [root, ...getShadowRoots(root, options.getShadowRoot)].forEach((node) =>
+      observer.observe(node, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: observedAttributes,
+      })
+    );
+  };
+
+  if (options.autoInvalidate) {
+    autoInvalidate();
+  }
+
+  // NOTE: `cache` is read at call time since it's replaced when invalidated
+  const withContext = (fn) => (target, callOptions) =>
+    fn(target, { ...options, ...callOptions, cache });
+
+  return {
+    tabbable: withContext(tabbable),
+    focusable: withContext(focusable),
+    isTabbable: withContext(isTabbable),
+    isFocusable: withContext(isFocusable),
+    iterateTabbable: withContext(iterateTabbable),
+    iterateFocusable: withContext(iterateFocusable),
+    firstTabbable: withContext(firstTabbable),
+    lastTabbable: withContext(lastTabbable),
+    getNextTabbable: withContext(getNextTabbable),
+    getPreviousTabbable: withContext(getPreviousTabbable),
+    getSequentialFocusTarget: withContext(getSequentialFocusTarget),
+    explainTabbable: withContext(explainTabbable),
+    explainFocusable: withContext(explainFocusable),
+    invalidate,
+    disconnect,
+  };
+};
+
+export { createTabbableContext };
@@ -0,0 +1,2003 @@
+// NOTE: separate `:not()` selectors has broader browser support than the newer
+//  `:not([inert], [inert] *)` (Feb 2023)
+// CAREFUL: JSDom does not support `:not([inert] *)` as a selector; using it causes
+//  the entire query to fail, resulting in no nodes found, which will break a lot
+//  of things... so we have to rely on JS to identify nodes inside an inert container
+const candidateSelectors = [
+  'input:not([inert])',
+  'select:not([inert])',
+  'textarea:not([inert])',
+  // NOTE: `*|href` matches `href` in any namespace, including `xlink:href`, which SVG
+  //  links may use instead of `href`
+  'a[*|href]:not([inert])',
+  'area[href]:not([inert])',
+  'button:not([inert])',
+  '[tabindex]:not(slot):not([inert])',
+  'audio[controls]:not([inert])',
+  'video[controls]:not([inert])',
+  '[contenteditable]:not([contenteditable="false"]):not([inert])',
+  'details>summary:first-of-type:not([inert])',
+  'details:not([inert])',
+];
+const candidateSelector = /* #__PURE__ */ candidateSelectors.join(',');
+
+const focusableCandidateSelector = /* #__PURE__ */ candidateSelectors
+  .concat('iframe')
+  .join(',');
+
+const NoElement = typeof Element === 'undefined';
+
+const matches = NoElement
+  ? function () {}
+  : Element.prototype.matches ||
+    Element.prototype.msMatchesSelector ||
+    Element.prototype.webkitMatchesSelector;
+
+const getRootNode =
+  !NoElement && Element.prototype.getRootNode
+    ? (element) => element?.getRootNode?.()
+    : (element) => element?.ownerDocument;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+/**
+ * @param {Element} node
+ * @returns {boolean} True if `node` is an SVG or MathML element, which don't follow
+ *  HTML's focusability rules.
+ */
+const isForeignElement = function (node) {
+  return (
+    node.namespaceURI === SVG_NAMESPACE ||
+    node.namespaceURI === MATHML_NAMESPACE
+  );
+};
+
+/**
+ * @param {Element} node
+ * @returns {boolean} True if `node` is an SVG `<a>` with an `href` or `xlink:href`.
+ */
+const isSvgLink = function (node) {
+  return (
+    node.namespaceURI === SVG_NAMESPACE &&
+    node.localName === 'a' &&
+    (node.hasAttribute('href') || node.hasAttributeNS(XLINK_NAMESPACE, 'href'))
+  );
+};
+
+/**
+ * Determines if a node that matches a candidate selector is a candidate in its namespace,
+ *  since selectors like `button` or `[contenteditable]` match elements of the same name
+ *  in any namespace.
+ * @param {Element} node
+ * @returns {boolean}
+ */
+const isNamespaceCandidate = function (node) {
+  // SVG and MathML elements are only candidates if they have a `tabindex`, except for
+  //  SVG links, which are focusable by default (HTML content in an SVG `<foreignObject>`
+  //  is in the HTML namespace and follows HTML's rules)
+  return (
+    !isForeignElement(node) || node.hasAttribute('tabindex') || isSvgLink(node)
+  );
+};
+
+/**
+ * Determines if a node matches a candidate selector, taking its namespace into account.
+ * @param {Element} node
+ * @param {string} selector candidate selector
+ * @returns {boolean}
+ */
+const isCandidate = function (node, selector) {
+  return matches.call(node, selector) && isNamespaceCandidate(node);
+};
+
+/**
+ * @typedef {Object} TabbableCache
+ * @property {WeakMap<Node, boolean>} inert inertness by node (including ancestors)
+ * @property {WeakMap<Element, HTMLFieldSetElement|null>} disabledFieldset closest
+ *  disabled `<fieldset>` ancestor by element
+ * @property {WeakMap<Node, boolean>} attached attachment to the document by root node
+ * @property {WeakMap<Node, Node|null>} undisclosedShadowChild node (self or ancestor)
+ *  whose parent has an undisclosed shadow, by node
+ * @property {WeakMap<Element, string>} visibility computed visibility by element
+ * @property {WeakMap<Document, Element|null>} modal top-most modal by document
+ */
+
+/**
+ * @returns {TabbableCache}
+ */
+const createCache = function () {
+  return {
+    inert: new WeakMap(),
+    disabledFieldset: new WeakMap(),
+    attached: new WeakMap(),
+    undisclosedShadowChild: new WeakMap(),
+    visibility: new WeakMap(),
+    modal: new WeakMap(),
+  };
+};
+
+/**
+ * Gets a value from a cache, computing and storing it first if necessary.
+ * @param {TabbableCache} [cache] If falsy, the value is always computed.
+ * @param {string} name Name of the cache map.
+ * @param {Node} [node] Key; if falsy, the value is always computed.
+ * @param {() => *} compute
+ * @returns {*}
+ */
+const getCached = function (cache, name, node, compute) {
+  if (!cache || !node) {
+    return compute();
+  }
+
+  const map = cache[name];
+  if (!map.has(node)) {
+    map.set(node, compute());
+  }
+  return map.get(node);
+};
+
+/**
+ * Determines if a node is inert or in an inert ancestor.
+ * @param {Element} [node]
+ * @param {boolean} [lookUp] If true and `node` is not inert, looks up at ancestors to
+ *  see if any of them are inert. If false, only `node` itself is considered.
+ * @param {TabbableCache} [cache] Used to cache the inertness of ancestors.
+ * @returns {boolean} True if inert itself or by way of being in an inert ancestor.
+ *  False if `node` is falsy.
+ */
+const isInert = function (node, lookUp = true, cache) {
+  // CAREFUL: JSDom does not support inert at all, so we can't use the `HTMLElement.inert`
+  //  JS API property; we have to check the attribute, which can either be empty or 'true';
+  //  if it's `null` (not specified) or 'false', it's an active element
+  const inertAtt = node?.getAttribute?.('inert');
+  const inert = inertAtt === '' || inertAtt === 'true';
+
+  // NOTE: this could also be handled with `node.matches('[inert], :is([inert] *)')`
+  //  if it weren't for `matches()` not being a function on shadow roots; the following
+  //  code works for any kind of node
+  // CAREFUL: JSDom does not appear to support certain selectors like `:not([inert] *)`
+  //  so it likely would not support `:is([inert] *)` either...
+  const result =
+    inert ||
+    (lookUp &&
+      node &&
+      getCached(cache, 'inert', node.parentNode, () =>
+        isInert(node.parentNode, true, cache)
+      )); // recursive
+
+  return result;
+};
+
+/**
+ * Determines if a node's content is editable.
+ * @param {Element} [node]
+ * @returns True if it's content-editable; false if it's not or `node` is falsy.
+ */
+const isContentEditable = function (node) {
+  // CAREFUL: JSDom does not support the `HTMLElement.isContentEditable` API so we have
+  //  to use the attribute directly to check for this, which can either be empty or 'true';
+  //  if it's `null` (not specified) or 'false', it's a non-editable element
+  const attValue = node?.getAttribute?.('contenteditable');
+  return attValue === '' || attValue === 'true';
+};
+
+/**
+ * @param {Element} el container to check in
+ * @param {boolean} includeContainer add container to check
+ * @param {(node: Element) => boolean} filter filter candidates
+ * @param {string} [selector] candidate selector; defaults to `candidateSelector`
+ * @returns {Element[]}
+ */
+const getCandidates = function (
+  el,
+  includeContainer,
+  filter,
+  selector = candidateSelector
+) {
+  // even if `includeContainer=false`, we still have to check it for inertness because
+  //  if it's inert, all its children are inert
+  if (isInert(el)) {
+    return [];
+  }
+
+  let candidates = Array.prototype.slice.apply(el.querySelectorAll(selector));
+  if (includeContainer && matches.call(el, selector)) {
+    candidates.unshift(el);
+  }
+  // NOTE: the selector was already matched by the query (or just above)
+  candidates = candidates.filter(
+    (candidate) => isNamespaceCandidate(candidate) && filter(candidate)
+  );
+  return candidates;
+};
+
+/**
+ * @callback GetShadowRoot
+ * @param {Element} element to check for shadow root
+ * @returns {ShadowRoot|boolean} ShadowRoot if available or boolean indicating if a shadowRoot is attached but not available.
+ */
+
+/**
+ * @callback ShadowRootFilter
+ * @param {Element} shadowHostNode the element which contains shadow content
+ * @returns {boolean} true if a shadow root could potentially contain valid candidates.
+ */
+
+/**
+ * @typedef {Object} CandidateScope
+ * @property {Element} scopeParent contains inner candidates
+ * @property {Element[]} candidates list of candidates found in the scope parent
+ * @property {Element} [invoker] for an open popover's scope, the candidate (in the same
+ *  list) that the scope immediately follows in tab order
+ */
+
+/**
+ * @typedef {Object} IterativeOptions
+ * @property {GetShadowRoot|boolean} getShadowRoot true if shadow support is enabled; falsy if not;
+ *  if a function, implies shadow support is enabled and either returns the shadow root of an element
+ *  or a boolean stating if it has an undisclosed shadow root
+ * @property {(node: Element) => boolean} filter filter candidates
+ * @property {boolean} flatten if true then result will flatten any CandidateScope into the returned list
+ * @property {ShadowRootFilter} shadowRootFilter filter shadow roots;
+ * @property {string} [selector] candidate selector; defaults to `candidateSelector`
+ */
+
+/**
+ * @param {Element[]} elements list of element containers to match candidates from
+ * @param {boolean} includeContainer add container list to check
+ * @param {IterativeOptions} options
+ * @returns {Array.<Element|CandidateScope>}
+ */
+const getCandidatesIteratively = function (
+  elements,
+  includeContainer,
+  options
+) {
+  const candidates = [];
+  const elementsToCheck = Array.from(elements);
+  while (elementsToCheck.length) {
+    const element = elementsToCheck.shift();
+    if (isInert(element, false)) {
+      // no need to look up since we're drilling down
+      // anything inside this container will also be inert
+      continue;
+    }
+
+    if (element.tagName === 'SLOT') {
+      // add shadow dom slot scope (slot itself cannot be focusable)
+      const assigned = element.assignedElements();
+      const content = assigned.length ? assigned : element.children;
+      const nestedCandidates = getCandidatesIteratively(content, true, options);
+      if (options.flatten) {
+        candidates.push(...nestedCandidates);
+      } else {
+        candidates.push({
+          scopeParent: element,
+          candidates: nestedCandidates,
+        });
+      }
+    } else {
+      // check candidate element
+      const validCandidate = isCandidate(
+        element,
+        options.selector || candidateSelector
+      );
+      if (
+        validCandidate &&
+        options.filter(element) &&
+        (includeContainer || !elements.includes(element))
+      ) {
+        candidates.push(element);
+      }
+
+      // iterate over shadow content if possible
+      const shadowRoot =
+        element.shadowRoot ||
+        // check for an undisclosed shadow
+        (typeof options.getShadowRoot === 'function' &&
+          options.getShadowRoot(element));
+
+      // no inert look up because we're already drilling down and checking for inertness
+      //  on the way down, so all containers to this root node should have already been
+      //  vetted as non-inert
+      const validShadowRoot =
+        !isInert(shadowRoot, false) &&
+        (!options.shadowRootFilter || options.shadowRootFilter(element));
+
+      if (shadowRoot && validShadowRoot) {
+        // add shadow dom scope IIF a shadow root node was given; otherwise, an undisclosed
+        //  shadow exists, so look at light dom children as fallback BUT create a scope for any
+        //  child candidates found because they're likely slotted elements (elements that are
+        //  children of the web component element (which has the shadow), in the light dom, but
+        //  slotted somewhere _inside_ the undisclosed shadow) -- the scope is created below,
+        //  _after_ we return from this recursive call
+        const nestedCandidates = getCandidatesIteratively(
+          shadowRoot === true ? element.children : shadowRoot.children,
+          true,
+          options
+        );
+
+        if (options.flatten) {
+          candidates.push(...nestedCandidates);
+        } else {
+          candidates.push({
+            scopeParent: element,
+            candidates: nestedCandidates,
+          });
+        }
+      } else {
+        // there's not shadow so just dig into the element's (light dom) children
+        //  __without__ giving the element special scope treatment
+        elementsToCheck.unshift(...element.children);
+      }
+    }
+  }
+  return candidates;
+};
+
+const getTabindex = function (node, isScope) {
+  if (isForeignElement(node)) {
+    // SVG and MathML elements don't implement `tabIndex` in all browsers (MathML
+    //  elements in particular), so we resolve it from the attribute, defaulting
+    //  to 0 for SVG links since they're focusable by default, and -1 otherwise
+    const tabIndex = parseInt(node.getAttribute('tabindex'), 10);
+    if (isNaN(tabIndex)) {
+      return isScope || isSvgLink(node) ? 0 : -1;
+    }
+    return tabIndex;
+  }
+
+  if (node.tabIndex < 0) {
+    // in Chrome, <details/>, <audio controls/> and <video controls/> elements get a default
+    // `tabIndex` of -1 when the 'tabindex' attribute isn't specified in the DOM,
+    // yet they are still part of the regular tab order; in FF, they get a default
+    // `tabIndex` of 0; since Chrome still puts those elements in the regular tab
+    // order, consider their tab index to be 0.
+    // Also browsers do not return `tabIndex` correctly for contentEditable nodes;
+    // so if they don't have a tabindex attribute specifically set, assume it's 0.
+    //
+    // isScope is positive for custom element with shadow root or slot that by default
+    // have tabIndex -1, but need to be sorted by document order in order for their
+    // content to be inserted in the correct position
+    if (
+      (isScope ||
+        /^(AUDIO|VIDEO|DETAILS)$/.test(node.tagName) ||
+        isContentEditable(node)) &&
+      isNaN(parseInt(node.getAttribute('tabindex'), 10))
+    ) {
+      return 0;
+    }
+  }
+
+  return node.tabIndex;
+};
+
+const sortOrderedTabbables = function (a, b) {
+  return a.tabIndex === b.tabIndex
+    ? a.documentOrder - b.documentOrder
+    : a.tabIndex - b.tabIndex;
+};
+
+const isInput = function (node) {
+  return node.tagName === 'INPUT';
+};
+
+const isHiddenInput = function (node) {
+  return isInput(node) && node.type === 'hidden';
+};
+
+const isDetailsWithSummary = function (node) {
+  const r =
+    node.tagName === 'DETAILS' &&
+    Array.prototype.slice
+      .apply(node.children)
+      .some((child) => child.tagName === 'SUMMARY');
+  return r;
+};
+
+/**
+ * @typedef {Map<Node, Map<string, HTMLInputElement>>} RadioGroupIndex Checked radio by
+ *  group name, by radio scope (i.e. form or root node).
+ */
+
+/**
+ * Indexes the checked radio of every group in a radio scope (i.e. form or root node).
+ * @param {Element|Document|ShadowRoot} radioScope
+ * @param {HTMLFormElement|null} form Form to which group members must belong, if any.
+ * @returns {Map<string, HTMLInputElement>} Checked radio by group name. Groups with
+ *  no checked radio are not included.
+ */
+const indexCheckedRadios = function (radioScope, form) {
+  const checkedRadios = new Map();
+  // NOTE: querying all radios at once, rather than by name, means we don't need to
+  //  escape names with `CSS.escape()`, and only query each scope once
+  const radios = radioScope.querySelectorAll('input[type="radio"]');
+  for (let i = 0; i < radios.length; i++) {
+    const radio = radios[i];
+    if (
+      radio.name &&
+      radio.checked &&
+      radio.form === form &&
+      !checkedRadios.has(radio.name)
+    ) {
+      checkedRadios.set(radio.name, radio);
+    }
+  }
+  return checkedRadios;
+};
+
+/**
+ * @param {HTMLInputElement} node
+ * @param {RadioGroupIndex} [radioGroups] Index to use, and add to, so that each radio
+ *  scope is only queried once when checking many radios.
+ * @returns {HTMLInputElement|undefined} The checked radio in `node`'s group, if any.
+ */
+const getCheckedRadio = function (node, radioGroups) {
+  const radioScope = node.form || getRootNode(node);
+  let checkedRadios = radioGroups?.get(radioScope);
+  if (!checkedRadios) {
+    checkedRadios = indexCheckedRadios(radioScope, node.form);
+    radioGroups?.set(radioScope, checkedRadios);
+  }
+  return checkedRadios.get(node.name);
+};
+
+const isTabbableRadio = function (node, radioGroups) {
+  if (!node.name) {
+    return true;
+  }
+
+  const checked = getCheckedRadio(node, radioGroups);
+  return !checked || checked === node;
+};
+
+const isRadio = function (node) {
+  return isInput(node) && node.type === 'radio';
+};
+
+const isNonTabbableRadio = function (node, radioGroups) {
+  return isRadio(node) && !isTabbableRadio(node, radioGroups);
+};
+
+// determines if a node is ultimately attached to the window's document
+const isNodeAttached = function (node) {
+  // The root node is the shadow root if the node is in a shadow DOM; some document otherwise
+  //  (but NOT _the_ document; see second 'If' comment below for more).
+  // If rootNode is shadow root, it'll have a host, which is the element to which the shadow
+  //  is attached, and the one we need to check if it's in the document or not (because the
+  //  shadow, and all nodes it contains, is never considered in the document since shadows
+  //  behave like self-contained DOMs; but if the shadow's HOST, which is part of the document,
+  //  is hidden, or is not in the document itself but is detached, it will affect the shadow's
+  //  visibility, including all the nodes it contains). The host could be any normal node,
+  //  or a custom element (i.e. web component). Either way, that's the one that is considered
+  //  part of the document, not the shadow root, nor any of its children (i.e. the node being
+  //  tested).
+  // To further complicate things, we have to look all the way up until we find a shadow HOST
+  //  that is attached (or find none) because the node might be in nested shadows...
+  // If rootNode is not a shadow root, it won't have a host, and so rootNode should be the
+  //  document (per the docs) and while it's a Document-type object, that document does not
+  //  appear to be the same as the node's `ownerDocument` for some reason, so it's safer
+  //  to ignore the rootNode at this point, and use `node.ownerDocument`. Otherwise,
+  //  using `rootNode.contains(node)` will _always_ be true we'll get false-positives when
+  //  node is actually detached.
+  // NOTE: If `nodeRootHost` or `node` happens to be the `document` itself (which is possible
+  //  if a tabbable/focusable node was quickly added to the DOM, focused, and then removed
+  //  from the DOM as in https://github.com/focus-trap/focus-trap-react/issues/905), then
+  //  `ownerDocument` will be `null`, hence the optional chaining on it.
+  let nodeRoot = node && getRootNode(node);
+  let nodeRootHost = nodeRoot?.host;
+
+  // in some cases, a detached node will return itself as the root instead of a document or
+  //  shadow root object, in which case, we shouldn't try to look further up the host chain
+  let attached = false;
+  if (nodeRoot && nodeRoot !== node) {
+    attached = !!(
+      nodeRootHost?.ownerDocument?.contains(nodeRootHost) ||
+      node?.ownerDocument?.contains(node)
+    );
+
+    while (!attached && nodeRootHost) {
+      // since it's not attached and we have a root host, the node MUST be in a nested shadow DOM,
+      //  which means we need to get the host's host and check if that parent host is contained
+      //  in (i.e. attached to) the document
+      nodeRoot = getRootNode(nodeRootHost);
+      nodeRootHost = nodeRoot?.host;
+      attached = !!nodeRootHost?.ownerDocument?.contains(nodeRootHost);
+    }
+  }
+
+  return attached;
+};
+
+const isZeroArea = function (node) {
+  const { width, height } = node.getBoundingClientRect();
+  return width === 0 && height === 0;
+};
+/**
+ * Finds the node (`node` itself, or an ancestor, crossing slots and shadow boundaries)
+ *  whose parent has an undisclosed shadow.
+ * @param {Node} node
+ * @param {GetShadowRoot} getShadowRoot
+ * @param {TabbableCache} [cache]
+ * @returns {Node|null}
+ */
+const getUndisclosedShadowChild = function (node, getShadowRoot, cache) {
+  return getCached(cache, 'undisclosedShadowChild', node, () => {
+    const parentElement = node.parentElement;
+    const rootNode = getRootNode(node);
+    let nextNode;
+    if (
+      parentElement &&
+      !parentElement.shadowRoot &&
+      getShadowRoot(parentElement) === true // check if there's an undisclosed shadow
+    ) {
+      return node;
+    } else if (node.assignedSlot) {
+      // iterate up slot
+      nextNode = node.assignedSlot;
+    } else if (!parentElement && rootNode !== node.ownerDocument) {
+      // cross shadow boundary
+      nextNode = rootNode.host;
+    } else {
+      // iterate up normal dom
+      nextNode = parentElement;
+    }
+
+    return nextNode
+      ? getUndisclosedShadowChild(nextNode, getShadowRoot, cache) // recursive
+      : null;
+  });
+};
+
+/**
+ * @typedef {Object} Reason
+ * @property {string} code
+ * @property {Element} element The node itself, or the ancestor, at fault.
+ */
+
+/**
+ * Gets the images that use an image map.
+ * @param {Element} map
+ * @returns {HTMLImageElement[]} In document order.
+ */
+const getImageMapImages = function (map) {
+  // NOTE: `usemap` is a hash-name reference to the map's name or ID
+  const references = [map.getAttribute('name'), map.id]
+    .filter(Boolean)
+    .map((name) => `#${name}`);
+  const images = getRootNode(map).querySelectorAll?.('img[usemap]') || [];
+  return Array.from(images).filter((img) =>
+    references.includes(img.getAttribute('usemap'))
+  );
+};
+
+/**
+ * @param {Element} node
+ * @param {Object} options
+ * @returns {Reason|null} Why the node is hidden, or null if it's visible.
+ */
+const getHiddenReason = function (
+  node,
+  { displayCheck, getShadowRoot, cache }
+) {
+  if (node.tagName === 'AREA') {
+    // an image map's areas have no layout of their own: they're displayed where (and
+    //  when) an image that uses the map is
+    const map = node.closest('map');
+    const images = map ? getImageMapImages(map) : [];
+    if (!images.length) {
+      return displayCheck === 'none'
+        ? null
+        : { code: 'not-displayed', element: node };
+    }
+
+    let firstReason = null;
+    for (const image of images) {
+      const reason = getHiddenReason(image, {
+        displayCheck,
+        getShadowRoot,
+        cache,
+      });
+      if (!reason) {
+        return null;
+      }
+      firstReason = firstReason || reason;
+    }
+    return firstReason;
+  }
+
+  // NOTE: visibility will be `undefined` if node is detached from the document
+  //  (see notes about this further down), which means we will consider it visible
+  //  (this is legacy behavior from a very long way back)
+  // NOTE: we check this regardless of `displayCheck="none"` because this is a
+  //  _visibility_ check, not a _display_ check
+  const visibility = getCached(
+    cache,
+    'visibility',
+    node,
+    () => getComputedStyle(node).visibility
+  );
+  if (visibility === 'hidden') {
+    return { code: 'visibility-hidden', element: node };
+  }
+
+  const isDirectSummary = matches.call(node, 'details>summary:first-of-type');
+  const nodeUnderDetails = isDirectSummary ? node.parentElement : node;
+  if (matches.call(nodeUnderDetails, 'details:not([open]) *')) {
+    return {
+      code: 'closed-details',
+      element: nodeUnderDetails.parentElement.closest('details:not([open])'),
+    };
+  }
+
+  if (
+    !displayCheck ||
+    displayCheck === 'full' ||
+    displayCheck === 'legacy-full'
+  ) {
+    if (typeof getShadowRoot === 'function') {
+      // figure out if we should consider the node to be in an undisclosed shadow and use the
+      //  'non-zero-area' fallback
+      const undisclosedShadowChild = getUndisclosedShadowChild(
+        node,
+        getShadowRoot,
+        cache
+      );
+      if (undisclosedShadowChild) {
+        // node has an undisclosed shadow which means we can only treat it as a black box, so we
+        //  fall back to a non-zero-area test
+        return isZeroArea(undisclosedShadowChild)
+          ? {
+              code: 'undisclosed-shadow-zero-area',
+              element: undisclosedShadowChild.parentElement,
+            }
+          : null;
+      }
+    }
+    // else, `getShadowRoot` might be true, but all that does is enable shadow DOM support
+    //  (i.e. it does not also presume that all nodes might have undisclosed shadows); or
+    //  it might be a falsy value, which means shadow DOM support is disabled
+
+    // Since we didn't find it sitting in an undisclosed shadow (or shadows are disabled)
+    //  now we can just test to see if it would normally be visible or not, provided it's
+    //  attached to the main document.
+    // NOTE: We must consider case where node is inside a shadow DOM and given directly to
+    //  `isTabbable()` or `isFocusable()` -- regardless of `getShadowRoot` option setting.
+
+    // NOTE: a node is attached if its root node is, so cache by root node
+    if (
+      getCached(cache, 'attached', getRootNode(node), () =>
+        isNodeAttached(node)
+      )
+    ) {
+      // this works wherever the node is: if there's at least one client rect, it's
+      //  somehow displayed; it also covers the CSS 'display: contents' case where the
+      //  node itself is hidden in place of its contents; and there's no need to search
+      //  up the hierarchy either
+      return node.getClientRects().length
+        ? null
+        : { code: 'not-displayed', element: node };
+    }
+
+    // Else, the node isn't attached to the document, which means the `getClientRects()`
+    //  API will __always__ return zero rects (this can happen, for example, if React
+    //  is used to render nodes onto a detached tree, as confirmed in this thread:
+    //  https://github.com/facebook/react/issues/9117#issuecomment-284228870)
+    //
+    // It also means that even window.getComputedStyle(node).display will return `undefined`
+    //  because styles are only computed for nodes that are in the document.
+    //
+    // NOTE: THIS HAS BEEN THE CASE FOR YEARS. It is not new, nor is it caused by tabbable
+    //  somehow. Though it was never stated officially, anyone who has ever used tabbable
+    //  APIs on nodes in detached containers has actually implicitly used tabbable in what
+    //  was later (as of v5.2.0 on Apr 9, 2021) called `displayCheck="none"` mode -- essentially
+    //  considering __everything__ to be visible because of the innability to determine styles.
+    //
+    // v6.0.0: As of this major release, the default 'full' option __no longer treats detached
+    //  nodes as visible with the 'none' fallback.__
+    if (displayCheck !== 'legacy-full') {
+      return { code: 'detached', element: node }; // hidden
+    }
+    // else, fallback to 'none' mode and consider the node visible
+  } else if (displayCheck === 'non-zero-area') {
+    // NOTE: Even though this tests that the node's client rect is non-zero to determine
+    //  whether it's displayed, and that a detached node will __always__ have a zero-area
+    //  client rect, we don't special-case for whether the node is attached or not. In
+    //  this mode, we do want to consider nodes that have a zero area to be hidden at all
+    //  times, and that includes attached or not.
+    return isZeroArea(node) ? { code: 'zero-area', element: node } : null;
+  }
+
+  // visible, as far as we can tell, or per current `displayCheck=none` mode, we assume
+  //  it's visible
+  return null;
+};
+
+const isHidden = function (node, options) {
+  return !!getHiddenReason(node, options);
+};
+
+/**
+ * @param {Element} node
+ * @param {TabbableCache} [cache]
+ * @returns {HTMLFieldSetElement|null} The closest disabled `<fieldset>` ancestor, if any.
+ */
+const getDisabledFieldset = function (node, cache) {
+  const parentNode = node.parentElement;
+  if (!parentNode) {
+    return null;
+  }
+
+  return getCached(cache, 'disabledFieldset', node, () =>
+    parentNode.tagName === 'FIELDSET' && parentNode.disabled
+      ? parentNode
+      : getDisabledFieldset(parentNode, cache)
+  ); // recursive
+};
+
+// form fields (nested) inside a disabled fieldset are not focusable/tabbable
+//  unless they are in the _first_ <legend> element of the top-most disabled
+//  fieldset
+const isDisabledFromFieldset = function (node, cache) {
+  if (/^(INPUT|BUTTON|SELECT|TEXTAREA)$/.test(node.tagName)) {
+    // check if `node` is contained in a disabled <fieldset>
+    const fieldset = getDisabledFieldset(node, cache);
+    if (fieldset) {
+      // look for the first <legend> among the children of the disabled <fieldset>
+      for (let i = 0; i < fieldset.children.length; i++) {
+        const child = fieldset.children.item(i);
+        // when the first <legend> (in document order) is found
+        if (child.tagName === 'LEGEND') {
+          // if its parent <fieldset> is not nested in another disabled <fieldset>,
+          // return whether `node` is a descendant of its first <legend>
+          return getDisabledFieldset(fieldset, cache)
+            ? true
+            : !child.contains(node);
+        }
+      }
+      // the disabled <fieldset> containing `node` has no <legend>
+      return true;
+    }
+  }
+
+  // else, node's tabbable/focusable state should not be affected by a fieldset's
+  //  enabled/disabled state
+  return false;
+};
+
+/**
+ * Gets the parent of a node in the flat tree, i.e. crossing into the slot to which
+ *  a light DOM node is assigned, and out of a shadow root to its host.
+ * @param {Node} node
+ * @param {GetShadowRoot|boolean} [getShadowRoot] To also find the slot to which a light
+ *  DOM node is assigned in a closed shadow root (whose slots are hidden from its
+ *  `assignedSlot`), as `getCandidatesIteratively()` does.
+ * @returns {Node|null}
+ */
+const getComposedParent = function (node, getShadowRoot) {
+  if (node.assignedSlot) {
+    return node.assignedSlot;
+  }
+
+  const parentNode = node.parentNode;
+  if (
+    typeof getShadowRoot === 'function' &&
+    parentNode?.nodeType === Node.ELEMENT_NODE &&
+    !parentNode.shadowRoot
+  ) {
+    const shadowRoot = getShadowRoot(parentNode);
+    const slot =
+      shadowRoot &&
+      shadowRoot !== true &&
+      Array.from(shadowRoot.querySelectorAll('slot')).find((el) =>
+        el.assignedNodes().includes(node)
+      );
+    if (slot) {
+      return slot;
+    }
+  }
+
+  if (parentNode?.nodeType === Node.DOCUMENT_FRAGMENT_NODE && parentNode.host) {
+    // cross shadow boundary
+    return parentNode.host;
+  }
+
+  return parentNode;
+};
+
+/**
+ * @param {Node} node
+ * @param {GetShadowRoot|boolean} [getShadowRoot] See `getComposedParent()`.
+ * @returns {Node[]} `node` and all of its flat tree ancestors, top-most first.
+ */
+const getComposedPath = function (node, getShadowRoot) {
+  const path = [];
+  while (node) {
+    path.unshift(node);
+    node = getComposedParent(node, getShadowRoot);
+  }
+  return path;
+};
+
+/**
+ * Gets the top-most modal dialog (opened with `showModal()`), outside of which everything
+ *  is inert, or else the fullscreen element if the `modalCheck` option is 'fullscreen'.
+ * @param {Document} doc
+ * @param {Object} options `modalCheck` and `cache` options.
+ * @returns {Element|null}
+ */
+const getTopModal = function (doc, options) {
+  if (options.modalCheck === false || !doc) {
+    return null;
+  }
+
+  return getCached(options.cache, 'modal', doc, function () {
+    let dialogs = [];
+    try {
+      dialogs = doc.querySelectorAll('dialog:modal');
+    } catch (e) {
+      // `:modal` isn't supported (e.g. JSDom), so no dialog can be modal
+    }
+
+    // NOTE: browsers don't expose the order of the top layer, but a modal dialog opened
+    //  from another one (or from a fullscreen element) is typically nested in it, or
+    //  comes after it in the document
+    // NOTE: browsers don't make content outside a fullscreen element inert (it can still
+    //  be reached with Tab), so it's only treated as such on request
+    return (
+      dialogs[dialogs.length - 1] ||
+      (options.modalCheck === 'fullscreen' && doc.fullscreenElement) ||
+      null
+    );
+  });
+};
+
+/**
+ * Determines if a node is inert by way of being outside the top-most modal.
+ * @param {Element} node
+ * @param {Object} options `modalCheck` and `cache` options, plus the `topModal` found
+ *  up-front when checking many nodes.
+ * @returns {Element|null} The modal, if it blocks the node.
+ */
+const getBlockingModal = function (node, options) {
+  const modal =
+    options.topModal !== undefined
+      ? options.topModal
+      : getTopModal(node.ownerDocument, options);
+  if (!modal) {
+    return null;
+  }
+
+  // a node in a (same-origin) iframe is where its iframe is (see the `iframes` option)
+  let target = node;
+  while (target && target.ownerDocument !== modal.ownerDocument) {
+    target = target.ownerDocument.defaultView?.frameElement || null;
+  }
+  return target && getComposedPath(target).includes(modal) ? null : modal;
+};
+
+/**
+ * @param {Element} node
+ * @param {Object} options
+ * @returns {boolean} True if the node is an iframe, and the `iframes` option is 'skip'.
+ */
+const isSkippedIframe = function (node, options) {
+  return options.iframes === 'skip' && node.tagName === 'IFRAME';
+};
+
+const isNodeMatchingSelectorFocusable = function (options, node) {
+  if (
+    node.disabled ||
+    isSkippedIframe(node, options) ||
+    // we must do an inert look up to filter out any elements inside an inert ancestor
+    //  because we're limited in the type of selectors we can use in JSDom (see related
+    //  note related to `candidateSelectors`)
+    isInert(node, true, options.cache) ||
+    getBlockingModal(node, options) ||
+    isHiddenInput(node) ||
+    isHidden(node, options) ||
+    // For a details element with a summary, the summary element gets the focus
+    isDetailsWithSummary(node) ||
+    isDisabledFromFieldset(node, options.cache)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const isNodeMatchingSelectorTabbable = function (options, node) {
+  if (
+    isNonTabbableRadio(node, options.radioGroups) ||
+    getTabindex(node) < 0 ||
+    !isNodeMatchingSelectorFocusable(options, node)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const isValidShadowRootTabbable = function (shadowHostNode) {
+  const tabIndex = parseInt(shadowHostNode.getAttribute('tabindex'), 10);
+  if (isNaN(tabIndex) || tabIndex >= 0) {
+    return true;
+  }
+  // If a custom element has an explicit negative tabindex,
+  // browsers will not allow tab targeting said element's children.
+  return false;
+};
+
+/**
+ * @typedef {Object} Sortable
+ * @property {number} documentOrder index of the candidate in its list
+ * @property {number} tabIndex
+ * @property {Element|CandidateScope} item
+ * @property {boolean} isScope
+ */
+
+/**
+ * Sorts candidates in tab order, without descending into scopes.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @returns {Sortable[]}
+ */
+const getSortables = function (candidates) {
+  const regularTabbables = [];
+  const orderedTabbables = [];
+  const invokedScopes = [];
+  candidates.forEach(function (item, i) {
+    const isScope = !!item.scopeParent;
+    const element = isScope ? item.scopeParent : item;
+    const sortable = {
+      documentOrder: i,
+      tabIndex: getTabindex(element, isScope),
+      item: item,
+      isScope: isScope,
+    };
+    if (item.invoker) {
+      invokedScopes.push(sortable);
+    } else if (sortable.tabIndex === 0) {
+      regularTabbables.push(sortable);
+    } else {
+      orderedTabbables.push(sortable);
+    }
+  });
+
+  const sortables = orderedTabbables
+    .sort(sortOrderedTabbables)
+    .concat(regularTabbables);
+
+  // an open popover's content comes right after its invoker, whatever their tabindex
+  invokedScopes.forEach(function (sortable) {
+    const index = sortables.findIndex((s) => s.item === sortable.item.invoker);
+    sortables.splice(index + 1, 0, sortable);
+  });
+
+  return sortables;
+};
+
+/**
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @returns Element[]
+ */
+const sortByOrder = function (candidates) {
+  return getSortables(candidates).reduce((acc, sortable) => {
+    sortable.isScope
+      ? acc.push(...sortByOrder(sortable.item.candidates))
+      : acc.push(sortable.item);
+    return acc;
+  }, []);
+};
+
+/**
+ * Creates a filter that only passes the first radio reached in each radio group. Since
+ *  only the checked radio of a group with a checked radio is tabbable, this only affects
+ *  groups with no checked radio.
+ * @returns {(node: Element) => boolean}
+ */
+const createRadioGroupFilter = function () {
+  const reachedGroups = new Map(); // group names by radio scope
+  return function (node) {
+    if (!isRadio(node) || !node.name) {
+      return true;
+    }
+
+    const radioScope = node.form || getRootNode(node);
+    let names = reachedGroups.get(radioScope);
+    if (!names) {
+      names = new Set();
+      reachedGroups.set(radioScope, names);
+    }
+
+    if (names.has(node.name)) {
+      return false;
+    }
+    names.add(node.name);
+    return true;
+  };
+};
+
+/**
+ * Compares the position of two nodes in the flat tree, which is the order in which
+ *  `getCandidatesIteratively()` visits them (i.e. shadow content at its host's position,
+ *  slotted content at its slot's position).
+ * @param {Node} a
+ * @param {Node} b
+ * @param {(parent: Node, a: Node, b: Node) => number} [compareSiblings] Compares the
+ *  children of `parent` that contain `a` and `b`, respectively, overriding document order
+ *  unless it returns zero (or NaN).
+ * @returns {number} Negative if `a` comes before `b`, positive if after, zero if same node.
+ *  An ancestor comes before its descendants.
+ */
+const compareComposedOrder = function (a, b, compareSiblings) {
+  if (a === b) {
+    return 0;
+  }
+
+  const pathA = getComposedPath(a);
+  const pathB = getComposedPath(b);
+  let i = 0;
+  while (i < pathA.length && i < pathB.length && pathA[i] === pathB[i]) {
+    i++;
+  }
+
+  if (i === pathA.length) {
+    return -1; // `a` is an ancestor of `b`
+  }
+  if (i === pathB.length) {
+    return 1; // `b` is an ancestor of `a`
+  }
+
+  const siblingOrder =
+    i > 0 &&
+    compareSiblings &&
+    compareSiblings(pathA[i - 1], pathA[i], pathB[i]);
+  if (siblingOrder) {
+    return siblingOrder;
+  }
+
+  // NOTE: siblings in the flat tree are either in the same light DOM, or the same shadow
+  //  root, so comparing their document position is reliable
+  return pathA[i].compareDocumentPosition(pathB[i]) &
+    Node.DOCUMENT_POSITION_FOLLOWING
+    ? -1
+    : 1;
+};
+
+/**
+ * Gets the position of a node's box along the block axis (i.e. which line it's on) and
+ *  the inline axis (i.e. where on the line it is), both increasing in reading order.
+ * @param {DOMRect} rect
+ * @param {string} writingMode Value of the CSS `writing-mode` property.
+ * @param {string} dir 'ltr' or 'rtl'.
+ * @returns {{ block: number, blockEnd: number, inline: number }} `block` is where
+ *  the box starts on the block axis, and `blockEnd` where it ends.
+ */
+const getReadingPosition = function (rect, writingMode, dir) {
+  const ltr = dir !== 'rtl';
+  if (/^(vertical|sideways)-rl$/.test(writingMode)) {
+    // lines go from right to left
+    return {
+      block: -rect.right,
+      blockEnd: -rect.left,
+      inline: ltr ? rect.top : -rect.bottom,
+    };
+  }
+  if (writingMode === 'vertical-lr') {
+    return {
+      block: rect.left,
+      blockEnd: rect.right,
+      inline: ltr ? rect.top : -rect.bottom,
+    };
+  }
+  if (writingMode === 'sideways-lr') {
+    // text is rotated so that lines read from bottom to top
+    return {
+      block: rect.left,
+      blockEnd: rect.right,
+      inline: ltr ? -rect.bottom : rect.top,
+    };
+  }
+  return {
+    block: rect.top,
+    blockEnd: rect.bottom,
+    inline: ltr ? rect.left : -rect.right,
+  };
+};
+
+/**
+ * Finds the reading-flow container (i.e. flex or grid container) that lays out the
+ *  children of a node in the flat tree, if any.
+ * @param {Node} node
+ * @returns {Element|null} `node` itself, or the closest ancestor if `node` (and any
+ *  ancestors in-between) has `display: contents` (e.g. a slot); null if none.
+ */
+const getReadingFlowContainer = function (node) {
+  while (node?.nodeType === Node.ELEMENT_NODE) {
+    const { display } = getComputedStyle(node);
+    if (display !== 'contents') {
+      return /(flex|grid)$/.test(display) ? node : null;
+    }
+    node = getComposedParent(node);
+  }
+  return null;
+};
+
+/**
+ * @param {Element} node
+ * @param {GetShadowRoot|boolean} [getShadowRoot]
+ * @returns {Element[]} Children of `node` in the flat tree.
+ */
+const getComposedChildren = function (node, getShadowRoot) {
+  if (node.tagName === 'SLOT') {
+    const assigned = node.assignedElements();
+    return Array.from(assigned.length ? assigned : node.children);
+  }
+
+  const shadowRoot =
+    node.shadowRoot ||
+    (typeof getShadowRoot === 'function' && getShadowRoot(node));
+  return Array.from(
+    shadowRoot && shadowRoot !== true ? shadowRoot.children : node.children
+  );
+};
+
+/**
+ * Ranks the children of a node in the flat tree by their rendered position, if the node
+ *  is a reading-flow container: children are grouped into lines (rows, in a horizontal
+ *  writing mode) of boxes that overlap on the block axis, and then ordered along each line.
+ * @param {Node} node
+ * @param {Object} options `tabbable()` options.
+ * @param {Map<Node, Map<Element, number>|null>} ranksByNode Ranks already computed.
+ * @returns {Map<Element, number>|null} Rank by child, or null if `node` isn't a
+ *  reading-flow container.
+ */
+const getReadingFlowRanks = function (node, options, ranksByNode) {
+  if (ranksByNode.has(node)) {
+    return ranksByNode.get(node);
+  }
+
+  let ranks = null;
+  const container = getReadingFlowContainer(node);
+  if (container) {
+    const { writingMode, direction } = getComputedStyle(container);
+    const positions = getComposedChildren(node, options.getShadowRoot).map(
+      (child, index) => {
+        const rect = child.getBoundingClientRect();
+        return {
+          child,
+          index,
+          ...getReadingPosition(rect, writingMode, direction),
+        };
+      }
+    );
+
+    const lines = [];
+    let lineEnd;
+    positions
+      .sort((a, b) => a.block - b.block || a.index - b.index)
+      .forEach((position) => {
+        if (lines.length && position.block < lineEnd) {
+          lines[lines.length - 1].push(position);
+          lineEnd = Math.max(lineEnd, position.blockEnd);
+        } else {
+          lines.push([position]);
+          lineEnd = position.blockEnd;
+        }
+      });
+
+    ranks = new Map();
+    lines.forEach((line) => {
+      line
+        .sort((a, b) => a.inline - b.inline || a.index - b.index)
+        .forEach(({ child }) => ranks.set(child, ranks.size));
+    });
+  }
+
+  ranksByNode.set(node, ranks);
+  return ranks;
+};
+
+/**
+ * Sorts candidates in the flat tree order, except that the children of reading-flow
+ *  containers (i.e. flex and grid containers) are in the order they're rendered in,
+ *  emulating the CSS `reading-flow` property.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @param {Object} options `tabbable()` options.
+ * @param {Map<Node, Map<Element, number>|null>} [ranksByNode] Reading-flow ranks computed
+ *  so far, shared with nested scopes.
+ * @returns {Array.<Element|CandidateScope>}
+ */
+const sortByReadingFlow = function (candidates, options, ranksByNode) {
+  ranksByNode = ranksByNode || new Map();
+  const compareSiblings = function (parent, a, b) {
+    const ranks = getReadingFlowRanks(parent, options, ranksByNode);
+    return ranks ? ranks.get(a) - ranks.get(b) : 0;
+  };
+
+  return candidates
+    .map((item) =>
+      item.scopeParent
+        ? {
+            ...item,
+            candidates: sortByReadingFlow(
+              item.candidates,
+              options,
+              ranksByNode
+            ),
+          }
+        : item
+    )
+    .sort((a, b) =>
+      compareComposedOrder(
+        a.scopeParent || a,
+        b.scopeParent || b,
+        compareSiblings
+      )
+    );
+};
+
+/**
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @returns {Element[]} Candidates in document order, with scopes flattened in place.
+ */
+const flattenScopes = function (candidates) {
+  return candidates.reduce((acc, item) => {
+    item.scopeParent
+      ? acc.push(...flattenScopes(item.candidates))
+      : acc.push(item);
+    return acc;
+  }, []);
+};
+
+/**
+ * @param {Element} node
+ * @returns {boolean} True if the node is a popover that's showing.
+ */
+const isPopoverOpen = function (node) {
+  try {
+    return node.matches(':popover-open');
+  } catch (e) {
+    return false; // the Popover API isn't supported, so it can't be showing
+  }
+};
+
+/**
+ * Gets the popover that a button would show, per its `popovertarget` attribute.
+ * @param {Element} node
+ * @returns {Element|null}
+ */
+const getPopoverTarget = function (node) {
+  const id = node.getAttribute('popovertarget');
+  if (
+    !id ||
+    node.disabled ||
+    !(
+      node.tagName === 'BUTTON' ||
+      (isInput(node) && /^(button|submit|reset|image)$/.test(node.type))
+    ) ||
+    // a form's submit button submits the form instead
+    (node.form && /^(submit|image)$/.test(node.type))
+  ) {
+    return null;
+  }
+
+  // NOTE: the ID is looked up in the button's own tree (i.e. not across shadow boundaries)
+  const target = getRootNode(node).getElementById?.(id);
+  return target?.hasAttribute('popover') ? target : null;
+};
+
+/**
+ * Removes candidates that pass a test from a tree of candidates.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @param {(el: Element) => boolean} test Given an element candidate, or a scope parent,
+ *  whose whole scope is removed (or the invoker of an open popover's scope, since that's
+ *  where the scope is).
+ * @param {Array.<Element|CandidateScope>} removed Receives removed candidates, in order.
+ * @returns {Array.<Element|CandidateScope>} Remaining candidates.
+ */
+const extractCandidates = function (candidates, test, removed) {
+  return candidates.reduce((acc, item) => {
+    if (test(item.invoker || item.scopeParent || item)) {
+      removed.push(item);
+    } else if (item.scopeParent) {
+      acc.push({
+        ...item,
+        candidates: extractCandidates(item.candidates, test, removed),
+      });
+    } else {
+      acc.push(item);
+    }
+    return acc;
+  }, []);
+};
+
+/**
+ * Inserts a candidate right after another in a tree of candidates.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @param {Element} previous
+ * @param {Element|CandidateScope} item
+ * @returns {boolean} True if `previous` was found, and `item` inserted.
+ */
+const insertCandidateAfter = function (candidates, previous, item) {
+  const index = candidates.indexOf(previous);
+  if (index >= 0) {
+    candidates.splice(index + 1, 0, item);
+    return true;
+  }
+  return candidates.some(
+    (el) =>
+      el.scopeParent && insertCandidateAfter(el.candidates, previous, item)
+  );
+};
+
+/**
+ * Inserts a candidate at a node's position in the flat tree, in a tree of candidates.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @param {Node} node
+ * @param {Element|CandidateScope} item
+ */
+const insertCandidateAt = function (candidates, node, item) {
+  const path = getComposedPath(node);
+  for (let i = 0; i < candidates.length; i++) {
+    const el = candidates[i].scopeParent || candidates[i];
+    if (candidates[i].scopeParent && path.includes(el)) {
+      insertCandidateAt(candidates[i].candidates, node, item);
+      return;
+    }
+    if (compareComposedOrder(node, el) < 0) {
+      candidates.splice(i, 0, item);
+      return;
+    }
+  }
+  candidates.push(item);
+};
+
+/**
+ * Moves the areas of image maps into scopes at the position of the image that uses
+ *  their map (the first displayed one, if several do), which is where browsers put them
+ *  in the tab order, rather than at the position of the map in the document.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @param {Object} options `tabbable()` options.
+ * @returns {Array.<Element|CandidateScope>}
+ */
+const scopeImageMaps = function (candidates, options) {
+  const images = new Map(); // image by map
+  flattenScopes(candidates).forEach(function (node) {
+    const map = node.tagName === 'AREA' ? node.closest('map') : null;
+    if (map && !images.has(map)) {
+      const mapImages = getImageMapImages(map);
+      images.set(
+        map,
+        mapImages.find((img) => !getHiddenReason(img, options)) ||
+          mapImages[0] ||
+          null
+      );
+    }
+  });
+
+  let scoped = candidates;
+  images.forEach(function (image, map) {
+    if (!image) {
+      return; // the areas aren't displayed anyway
+    }
+
+    const areas = [];
+    scoped = extractCandidates(
+      scoped,
+      (el) => el.tagName === 'AREA' && el.closest('map') === map,
+      areas
+    );
+    insertCandidateAt(scoped, image, { scopeParent: image, candidates: areas });
+  });
+
+  return scoped;
+};
+
+/**
+ * Moves the content of open popovers into scopes that come right after their invokers
+ *  (the buttons whose `popovertarget` is the popover), which is where browsers put it in
+ *  the tab order, rather than at its position in the document.
+ * @param {Array.<Element|CandidateScope>} candidates
+ * @param {(node: Element) => boolean} [filter] For unfiltered candidates, the filter
+ *  that invokers must pass.
+ * @returns {Array.<Element|CandidateScope>}
+ */
+const scopePopovers = function (candidates, filter) {
+  const popovers = new Map(); // invoker by open popover
+  flattenScopes(candidates).forEach(function (node) {
+    const popover = node.hasAttribute('popovertarget')
+      ? getPopoverTarget(node)
+      : null;
+    if (
+      popover &&
+      !popovers.has(popover) &&
+      isPopoverOpen(popover) &&
+      // e.g. a close button in the popover, which can't also be where it is
+      !getComposedPath(node).includes(popover) &&
+      (!filter || filter(node))
+    ) {
+      popovers.set(popover, node);
+    }
+  });
+
+  if (!popovers.size) {
+    return candidates;
+  }
+
+  // NOTE: outer popovers come first so that nested ones are moved along with their
+  //  outer popover's content before being moved after their own invoker
+  let scoped = candidates;
+  Array.from(popovers.keys())
+    .sort(compareComposedOrder)
+    .forEach(function (popover) {
+      const content = [];
+      scoped = extractCandidates(
+        scoped,
+        (el) => getComposedPath(el).includes(popover),
+        content
+      );
+      if (content.length) {
+        const invoker = popovers.get(popover);
+        insertCandidateAfter(scoped, invoker, {
+          scopeParent: popover,
+          candidates: content,
+          invoker,
+        });
+      }
+    });
+
+  return scoped;
+};
+
+/**
+ * Last focused item by focusgroup, as recorded by `polyfillFocusgroup()`.
+ * @type {WeakMap<Element, Element>}
+ */
+const focusgroupMemory = new WeakMap();
+
+/**
+ * @param {Node} node
+ * @returns {string[]|null} Tokens of the node's `focusgroup` attribute; null if it
+ *  doesn't have one.
+ */
+const getFocusgroupTokens = function (node) {
+  const value = node.getAttribute?.('focusgroup');
+  return typeof value === 'string' ? value.trim().split(/\s+/) : null;
+};
+
+/**
+ * Finds the focusgroup to which a node belongs, i.e. its closest ancestor (in the flat
+ *  tree) with a `focusgroup` attribute, unless the node, or an ancestor in-between, opts
+ *  out with `focusgroup="none"`.
+ * @param {Node} node
+ * @returns {Element|null}
+ */
+const getFocusgroup = function (node) {
+  let el = node;
+  while (el) {
+    const tokens = getFocusgroupTokens(el);
+    if (tokens?.includes('none')) {
+      return null;
+    }
+    if (tokens && el !== node) {
+      return el;
+    }
+    el = getComposedParent(el);
+  }
+  return null;
+};
+
+/**
+ * Creates a filter that only passes one item per focusgroup, since a focusgroup is
+ *  a single tab stop: its last focused item, if it's still tabbable and inside the
+ *  container, or else the first item reached.
+ * @param {Object} options `tabbable()` options.
+ * @param {Element} container Container in which items are found.
+ * @returns {(node: Element) => boolean}
+ */
+const createFocusgroupFilter = function (options, container) {
+  const entries = new Map(); // item to pass, by focusgroup
+
+  // NOTE: a focusgroup may span several containers, in which case its last focused item
+  //  may be in another one, where it's never reached
+  const isInContainer = function (node) {
+    while (node) {
+      if (getComposedPath(node, options.getShadowRoot).includes(container)) {
+        return true;
+      }
+      // items may be in iframes descended into
+      node =
+        options.iframes === 'descend'
+          ? node.ownerDocument.defaultView?.frameElement
+          : null;
+    }
+    return false;
+  };
+
+  return function (node) {
+    const group = getFocusgroup(node);
+    if (!group) {
+      return true;
+    }
+
+    if (!entries.has(group)) {
+      const lastFocused = focusgroupMemory.get(group);
+      entries.set(
+        group,
+        lastFocused &&
+          getFocusgroup(lastFocused) === group &&
+          isInContainer(lastFocused) &&
+          isNodeMatchingSelectorTabbable(options, lastFocused)
+          ? lastFocused
+          : node
+      );
+    }
+    return entries.get(group) === node;
+  };
+};
+
+/**
+ * Creates a filter that only passes the tab stops browsers actually stop on, among
+ *  tabbable nodes: see `createRadioGroupFilter()`, if a `direction` is given, and
+ *  `createFocusgroupFilter()`, if the `focusgroup` option is enabled.
+ * @param {Object} options `tabbable()` options.
+ * @param {Element} container Container in which tabbable nodes are found.
+ * @returns {(node: Element) => boolean}
+ */
+const createTabStopFilter = function (options, container) {
+  const focusgroupFilter =
+    options.focusgroup && createFocusgroupFilter(options, container);
+  const radioGroupFilter = options.direction && createRadioGroupFilter();
+  return (node) =>
+    (!focusgroupFilter || focusgroupFilter(node)) &&
+    (!radioGroupFilter || radioGroupFilter(node));
+};
+
+/**
+ * Browsers only stop on the first radio (in tab order) of a group with no checked radio
+ *  when tabbing forward, and on the last one when tabbing backward. Focusgroups without
+ *  a last focused item are entered likewise.
+ * @param {Element[]} tabbables in tab order
+ * @param {Object} options `tabbable()` options; `direction` defaults to 'forward'.
+ * @param {Element} container Container in which tabbable nodes are found.
+ * @returns {Element[]} tabbables without the ones browsers would skip
+ */
+const filterTabStops = function (tabbables, options, container) {
+  const backward = options.direction === 'backward';
+  const filtered = (backward ? tabbables.slice().reverse() : tabbables).filter(
+    createTabStopFilter(options, container)
+  );
+  return backward ? filtered.reverse() : filtered;
+};
+
+/**
+ * @param {Object} options
+ * @returns {string} Selector for tabbable candidates, which includes iframes per the
+ *  `iframes` option (focusable candidates always include them).
+ */
+const getCandidateSelector = function (options) {
+  return options.iframes === 'element' || options.iframes === 'descend'
+    ? focusableCandidateSelector
+    : candidateSelector;
+};
+
+/**
+ * Gets the candidates in a container, with or without shadow DOM support, descending
+ *  into same-origin iframes if the `iframes` option is 'descend'.
+ * @param {Element} el container
+ * @param {Object} options
+ * @param {Object} config
+ * @param {boolean} config.includeContainer
+ * @param {(node: Element) => boolean} config.filter
+ * @param {boolean} config.flatten True to flatten scopes (i.e. DOM order is all that
+ *  matters).
+ * @param {ShadowRootFilter} [config.shadowRootFilter]
+ * @param {string} [config.selector] Defaults to `candidateSelector`.
+ * @param {(node: Element) => boolean} [config.frameFilter] Filter for iframes to descend
+ *  into, when `filter` doesn't filter candidates (i.e. they're filtered lazily).
+ * @returns {Array.<Element|CandidateScope>}
+ */
+const findCandidates = function (el, options, config) {
+  const candidates = options.getShadowRoot
+    ? getCandidatesIteratively([el], config.includeContainer, {
+        filter: config.filter,
+        flatten: config.flatten,
+        getShadowRoot: options.getShadowRoot,
+        shadowRootFilter: config.shadowRootFilter,
+        selector: config.selector,
+      })
+    : getCandidates(
+        el,
+        config.includeContainer,
+        config.filter,
+        config.selector
+      );
+
+  if (options.iframes !== 'descend') {
+    return candidates;
+  }
+
+  const descend = function (items) {
+    return items.reduce((acc, item) => {
+      // NOTE: the document of a cross-origin iframe is `null`, so the iframe stands in
+      //  for its content, as an opaque scope
+      const frameDocument =
+        item.tagName === 'IFRAME' ? item.contentDocument : null;
+
+      if (item.scopeParent) {
+        acc.push({ ...item, candidates: descend(item.candidates) });
+      } else if (frameDocument?.documentElement) {
+        if (!config.frameFilter || config.frameFilter(item)) {
+          // like a shadow root, the iframe's document has its own tab order
+          const frameCandidates = findCandidates(
+            frameDocument.documentElement,
+            options,
+            { ...config, includeContainer: false }
+          );
+          config.flatten
+            ? acc.push(...frameCandidates)
+            : acc.push({ scopeParent: item, candidates: frameCandidates });
+        }
+      } else {
+        acc.push(item);
+      }
+      return acc;
+    }, []);
+  };
+
+  return descend(candidates);
+};
+
+/**
+ * Validates the options that all APIs may be given, so that invalid values fail fast
+ *  rather than being silently ignored by APIs that don't use them right away.
+ * @param {Object} options
+ * @throws {Error} If an option has an invalid value.
+ */
+const validateOptions = function (options) {
+  if (options.direction && !/^(forward|backward)$/.test(options.direction)) {
+    throw new Error(`Invalid direction "${options.direction}"`);
+  }
+  if (options.order && !/^(tab|dom|visual)$/.test(options.order)) {
+    throw new Error(`Invalid order "${options.order}"`);
+  }
+  if (options.iframes && !/^(skip|element|descend)$/.test(options.iframes)) {
+    throw new Error(`Invalid iframes "${options.iframes}"`);
+  }
+};
+
+const tabbable = function (el, options) {
+  // index radio groups as they're found so each form or root node is only queried once,
+  //  rather than once per radio
+  options = { ...options, radioGroups: new Map() };
+  validateOptions(options);
+  // likewise, unless a context provides a cache, cache ancestor checks for the duration
+  //  of the call since candidates typically share most of their ancestors
+  options.cache = options.cache || createCache();
+  // find the top-most modal once, rather than once per node
+  options.topModal = getTopModal(el.ownerDocument, options);
+
+  const candidates = findCandidates(el, options, {
+    includeContainer: options.includeContainer,
+    filter: isNodeMatchingSelectorTabbable.bind(null, options),
+    flatten: false,
+    shadowRootFilter: isValidShadowRootTabbable,
+    selector: getCandidateSelector(options),
+  });
+
+  let tabbables;
+  if (options.order === 'dom') {
+    tabbables = flattenScopes(candidates);
+  } else if (options.order === 'visual') {
+    tabbables = sortByOrder(
+      scopePopovers(
+        sortByReadingFlow(scopeImageMaps(candidates, options), options)
+      )
+    );
+  } else {
+    tabbables = sortByOrder(scopePopovers(scopeImageMaps(candidates, options)));
+  }
+
+  return options.direction || options.focusgroup
+    ? filterTabStops(tabbables, options, el)
+    : tabbables;
+};
+
+const focusable = function (el, options) {
+  options = { ...options };
+  validateOptions(options);
+  options.cache = options.cache || createCache(); // see `tabbable()`
+  options.topModal = getTopModal(el.ownerDocument, options); // see `tabbable()`
+
+  return findCandidates(el, options, {
+    includeContainer: options.includeContainer,
+    filter: isNodeMatchingSelectorFocusable.bind(null, options),
+    flatten: true,
+    selector: getCandidateSelector(options),
+  });
+};
+
+/**
+ * Lazily yields candidates in tab order, only applying the filter (which is where
+ *  layout gets forced) to each candidate as it's reached.
+ * @param {Array.<Element|CandidateScope>} candidates unfiltered candidates
+ * @param {(node: Element) => boolean} filter
+ * @param {boolean} reverse True to yield in reverse tab order.
+ */
+const iterateByOrder = function* (candidates, filter, reverse) {
+  const sortables = getSortables(candidates);
+  if (reverse) {
+    sortables.reverse();
+  }
+
+  for (const sortable of sortables) {
+    if (sortable.isScope) {
+      yield* iterateByOrder(sortable.item.candidates, filter, reverse);
+    } else if (filter(sortable.item)) {
+      yield sortable.item;
+    }
+  }
+};
+
+/**
+ * Lazily yields the candidates that pass a filter, in the given order.
+ * @param {Element[]} candidates
+ * @param {(node: Element) => boolean} filter
+ */
+const iterateFiltered = function* (candidates, filter) {
+  for (const candidate of candidates) {
+    if (filter(candidate)) {
+      yield candidate;
+    }
+  }
+};
+
+/**
+ * Gets candidates without filtering them, which requires no layout (except for iframes
+ *  to descend into, per the `iframes` option).
+ * @param {Element} el container
+ * @param {Object} options
+ * @param {boolean} flatten True to flatten scopes (i.e. DOM order is all that matters).
+ * @returns {Array.<Element|CandidateScope>}
+ */
+const getUnfilteredCandidates = function (el, options, flatten) {
+  return findCandidates(el, options, {
+    includeContainer: options.includeContainer,
+    filter: () => true,
+    flatten,
+    shadowRootFilter: flatten ? undefined : isValidShadowRootTabbable,
+    selector: getCandidateSelector(options),
+    // NOTE: an iframe's own styles and attributes (e.g. `display: none` or `inert`)
+    //  aren't inherited by its content, so it's checked before descending into it
+    frameFilter: flatten
+      ? isNodeMatchingSelectorFocusable.bind(null, options)
+      : isNodeMatchingSelectorTabbable.bind(null, options),
+  });
+};
+
+/**
+ * Lazily yields the tabbable nodes in a container (see `iterateTabbable()`).
+ * @param {Element} el container
+ * @param {Object} [options]
+ */
+const generateTabbables = function* (el, options) {
+  options = { ...options, radioGroups: new Map() }; // see `tabbable()`
+  options.topModal = getTopModal(el.ownerDocument, options);
+  const isCandidateTabbable = isNodeMatchingSelectorTabbable.bind(
+    null,
+    options
+  );
+  const candidates = getUnfilteredCandidates(el, options, false);
+
+  let tabbables;
+  if (options.order === 'dom') {
+    const ordered = flattenScopes(candidates);
+    tabbables = iterateFiltered(
+      options.reverse ? ordered.reverse() : ordered,
+      isCandidateTabbable
+    );
+  } else {
+    // NOTE: the visual order relies on the layout of all candidates, so it's computed
+    //  up-front, but candidates are still only checked as they're reached
+    const scoped = scopeImageMaps(candidates, options);
+    tabbables = iterateByOrder(
+      scopePopovers(
+        options.order === 'visual'
+          ? sortByReadingFlow(scoped, options)
+          : scoped,
+        isCandidateTabbable
+      ),
+      isCandidateTabbable,
+      options.reverse
+    );
+  }
+
+  if (!options.direction && !options.focusgroup) {
+    yield* tabbables;
+  } else if (!!options.reverse === (options.direction === 'backward')) {
+    // the radio to keep in a group with no checked radio (or the item to keep in
+    //  a focusgroup) is the first one reached
+    const filter = createTabStopFilter(options, el);
+    for (const node of tabbables) {
+      if (filter(node)) {
+        yield node;
+      }
+    }
+  } else {
+    // the radio to keep in a group with no checked radio (or the item to keep in
+    //  a focusgroup) is the _last_ one reached, so all nodes must be reached first
+    const ordered = Array.from(tabbables);
+    const filtered = filterTabStops(
+      options.reverse ? ordered.reverse() : ordered,
+      options,
+      el
+    );
+    yield* options.reverse ? filtered.reverse() : filtered;
+  }
+};
+
+/**
+ * Lazily yields the focusable nodes in a container (see `iterateFocusable()`).
+ * @param {Element} el container
+ * @param {Object} [options]
+ */
+const generateFocusables = function* (el, options) {
+  options = { ...options };
+  options.topModal = getTopModal(el.ownerDocument, options); // see `tabbable()`
+  const candidates = getUnfilteredCandidates(el, options, true);
+  if (options.reverse) {
+    candidates.reverse();
+  }
+
+  yield* iterateFiltered(
+    candidates,
+    isNodeMatchingSelectorFocusable.bind(null, options)
+  );
+};
+
+// NOTE: a generator's body only runs once iteration starts, so options are validated
+//  here for invalid values to fail fast
+const iterateTabbable = function (el, options) {
+  validateOptions(options || {});
+  return generateTabbables(el, options);
+};
+
+const iterateFocusable = function (el, options) {
+  validateOptions(options || {});
+  return generateFocusables(el, options);
+};
+
+const firstTabbable = function (el, options) {
+  return (
+    iterateTabbable(el, { ...options, reverse: false }).next().value || null
+  );
+};
+
+const lastTabbable = function (el, options) {
+  return (
+    iterateTabbable(el, { ...options, reverse: true }).next().value || null
+  );
+};
+
+const isTabbable = function (node, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!node) {
+    throw new Error('No node provided');
+  }
+  if (isCandidate(node, getCandidateSelector(options)) === false) {
+    return false;
+  }
+  return isNodeMatchingSelectorTabbable(options, node);
+};
+
+const isFocusable = function (node, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!node) {
+    throw new Error('No node provided');
+  }
+  if (isCandidate(node, focusableCandidateSelector) === false) {
+    return false;
+  }
+  return isNodeMatchingSelectorFocusable(options, node);
+};
+
+// attributes that can change whether a node is a candidate, tabbable, or displayed
+const observedAttributes = [
+  'tabindex',
+  'disabled',
+  'inert',
+  'hidden',
+  'open',
+  'contenteditable',
+  'checked',
+  'href',
+  'controls',
+  'type',
+  'name',
+  'slot',
+  'style',
+  'class',
+  'popover',
+  'popovertarget',
+];
+
+/**
+ * Finds all the shadow roots that `tabbable()` would look into.
+ * @param {Element} container
+ * @param {GetShadowRoot|boolean} [getShadowRoot]
+ * @returns {ShadowRoot[]}
+ */
+const getShadowRoots = function (container, getShadowRoot) {
+  const shadowRoots = [];
+  if (!getShadowRoot) {
+    return shadowRoots;
+  }
+
+  const elementsToCheck = Array.prototype.slice.apply(
+    container.querySelectorAll('*')
+  );
+  elementsToCheck.unshift(container);
+  while (elementsToCheck.length) {
+    const element = elementsToCheck.shift();
+    const shadowRoot =
+      element.shadowRoot ||
+      (typeof getShadowRoot === 'function' && getShadowRoot(element));
+
+    // NOTE: an undisclosed shadow (i.e. `true`) can't be observed; its light DOM
+    //  children are already observed as part of the container's subtree
+    if (shadowRoot && shadowRoot !== true) {
+      shadowRoots.push(shadowRoot);
+      elementsToCheck.push(
+        ...Array.prototype.slice.apply(shadowRoot.querySelectorAll('*'))
+      );
+    }
+  }
+
+  return shadowRoots;
+};
+
+export {
+  tabbable,
+  focusable,
+  isTabbable,
+  isFocusable,
+  iterateTabbable,
+  iterateFocusable,
+  firstTabbable,
+  lastTabbable,
+  // internals, for other modules only (i.e. not exported by `index.js`)
+  matches,
+  focusableCandidateSelector,
+  isCandidate,
+  createCache,
+  isInert,
+  isContentEditable,
+  getTabindex,
+  isInput,
+  isHiddenInput,
+  isDetailsWithSummary,
+  getCheckedRadio,
+  isNonTabbableRadio,
+  isNodeAttached,
+  isZeroArea,
+  getRootNode,
+  getHiddenReason,
+  getDisabledFieldset,
+  isDisabledFromFieldset,
+  getComposedParent,
+  getComposedPath,
+  getBlockingModal,
+  isSkippedIframe,
+  compareComposedOrder,
+  getReadingPosition,
+  focusgroupMemory,
+  getFocusgroupTokens,
+  getFocusgroup,
+  getCandidateSelector,
+  validateOptions,
+  getShadowRoots,
+  observedAttributes,
+};
@@ -0,0 +1,119 @@
+import {
+  focusableCandidateSelector,
+  isCandidate,
+  isInert,
+  getTabindex,
+  isHiddenInput,
+  isDetailsWithSummary,
+  getCheckedRadio,
+  isNonTabbableRadio,
+  getHiddenReason,
+  getDisabledFieldset,
+  isDisabledFromFieldset,
+  getBlockingModal,
+  isSkippedIframe,
+  getCandidateSelector,
+  validateOptions,
+} from './core.js';
+
+/**
+ * @typedef {Object} Explanation
+ * @property {boolean} verdict True if the node is tabbable/focusable.
+ * @property {Reason[]} reasons Why the node is not tabbable/focusable, in the order in
+ *  which they're checked; empty if it is.
+ */
+
+/**
+ * @param {Element} node
+ * @param {Object} options
+ * @returns {Reason[]}
+ */
+const getNotFocusableReasons = function (node, options) {
+  const reasons = [];
+  if (node.disabled) {
+    reasons.push({ code: 'disabled', element: node });
+  }
+
+  if (isInert(node, true, options.cache)) {
+    let inertNode = node;
+    while (inertNode && !isInert(inertNode, false)) {
+      inertNode = inertNode.parentNode;
+    }
+    reasons.push({ code: 'inert', element: inertNode });
+  }
+
+  const modal = getBlockingModal(node, options);
+  if (modal) {
+    reasons.push({ code: 'outside-modal', element: modal });
+  }
+
+  if (isHiddenInput(node)) {
+    reasons.push({ code: 'hidden-input', element: node });
+  }
+
+  const hiddenReason = getHiddenReason(node, options);
+  if (hiddenReason) {
+    reasons.push(hiddenReason);
+  }
+
+  if (isDetailsWithSummary(node)) {
+    // the summary gets the focus instead
+    reasons.push({ code: 'details-with-summary', element: node });
+  }
+
+  if (isDisabledFromFieldset(node, options.cache)) {
+    reasons.push({
+      code: 'disabled-fieldset',
+      element: getDisabledFieldset(node, options.cache),
+    });
+  }
+
+  return reasons;
+};
+
+const explainTabbable = function (node, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!node) {
+    throw new Error('No node provided');
+  }
+
+  const reasons = [];
+  if (
+    isCandidate(node, getCandidateSelector(options)) === false ||
+    isSkippedIframe(node, options)
+  ) {
+    reasons.push({ code: 'not-candidate', element: node });
+  } else {
+    if (isNonTabbableRadio(node)) {
+      reasons.push({
+        code: 'non-tabbable-radio',
+        element: getCheckedRadio(node), // the one that's tabbable instead
+      });
+    }
+    if (getTabindex(node) < 0) {
+      reasons.push({ code: 'negative-tabindex', element: node });
+    }
+    reasons.push(...getNotFocusableReasons(node, options));
+  }
+
+  return { verdict: !reasons.length, reasons };
+};
+
+const explainFocusable = function (node, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!node) {
+    throw new Error('No node provided');
+  }
+
+  const reasons =
+    isCandidate(node, focusableCandidateSelector) === false ||
+    isSkippedIframe(node, options)
+      ? [{ code: 'not-candidate', element: node }]
+      : getNotFocusableReasons(node, options);
+
+  return { verdict: !reasons.length, reasons };
+};
+
+export { explainTabbable, explainFocusable };
@@ -0,0 +1,148 @@
+import {
+  isTabbable,
+  isFocusable,
+  firstTabbable,
+  isNodeAttached,
+  getComposedPath,
+  validateOptions,
+} from './core.js';
+import { getSequentialFocusTarget } from './sequentialNavigation.js';
+import { getDeepActiveElement } from './activeElement.js';
+
+/**
+ * Remembers where a node is in the document, so that focus can be restored to it, or
+ *  near where it was if it's later removed.
+ * @param {Element} node
+ * @returns {{ node: Element, range: Range|null }}
+ */
+const createFocusRestorePoint = function (node) {
+  let range = null;
+  if (node.parentNode) {
+    // NOTE: the DOM keeps a range's boundary points in place as nodes are inserted and
+    //  removed, so if the node is removed, the range is left where it was
+    range = node.ownerDocument.createRange();
+    range.setStartBefore(node);
+  }
+  return { node, range };
+};
+
+/**
+ * Gets the first node after a range's start in document order, which isn't inside the
+ *  range's start container (if any), leaving shadow roots by way of their hosts.
+ * @param {Range} range
+ * @returns {Node|null}
+ */
+const getNodeAfterRangeStart = function (range) {
+  const { startContainer, startOffset } = range;
+  if (startOffset < startContainer.childNodes.length) {
+    return startContainer.childNodes[startOffset];
+  }
+
+  // after the last child, so it's whatever follows the start container
+  let node = startContainer;
+  while (node && !node.nextSibling) {
+    node =
+      node.nodeType === Node.DOCUMENT_FRAGMENT_NODE
+        ? node.host
+        : node.parentNode;
+  }
+  return node?.nextSibling || null;
+};
+
+/**
+ * Gets the node to restore focus to: the remembered node if it's still attached and
+ *  focusable; otherwise, the nearest tabbable node following where it was, or preceding
+ *  it if there is none.
+ * @param {{ node: Element, range: Range|null }} restorePoint
+ * @param {Object} [options] `tabbable()` options, plus `container`, in which to look
+ *  for the nearest tabbable node (defaults to the document's body).
+ * @returns {Element|null}
+ */
+const getFocusRestoreTarget = function ({ node, range }, options) {
+  if (isNodeAttached(node) && isFocusable(node, options)) {
+    return node;
+  }
+  // NOTE: a shadow root is its own root node, so it's attached if its host is
+  const startContainer = range?.startContainer;
+  if (!range || !isNodeAttached(startContainer.host || startContainer)) {
+    return null; // e.g. in a shadow root whose host was removed
+  }
+
+  const next = getNodeAfterRangeStart(range);
+  if (
+    next?.nodeType === Node.ELEMENT_NODE &&
+    (!options?.container ||
+      getComposedPath(next, options.getShadowRoot).includes(
+        options.container
+      )) &&
+    isTabbable(next, options)
+  ) {
+    return next;
+  }
+  return (
+    (next &&
+      getSequentialFocusTarget(next, { ...options, direction: 'forward' })) ||
+    getSequentialFocusTarget(next, { ...options, direction: 'backward' })
+  );
+};
+
+/**
+ * Remembers the focused node (deep inside open shadow roots), and its position in the
+ *  document, so focus can be restored later with `restoreFocus()`.
+ * @param {Object} [options] `tabbable()` options, plus a `container` (defaults to the
+ *  document's body) in which to look for another node if needed.
+ * @returns {Object} An opaque token for `restoreFocus()`.
+ */
+const saveFocus = function (options) {
+  options = options || {};
+  validateOptions(options);
+  const container = options.container || document.body;
+  const doc = container.ownerDocument;
+  const activeElement = getDeepActiveElement(doc, options);
+
+  // NOTE: the body is where focus goes when nothing is focused
+  const restorePoint =
+    activeElement && activeElement !== doc.body
+      ? createFocusRestorePoint(activeElement)
+      : { node: null, range: null };
+
+  return { ...restorePoint, container, options };
+};
+
+/**
+ * Restores focus saved with `saveFocus()`. If the node that was focused is detached, or
+ *  is no longer focusable, focus goes to the nearest tabbable node in the container that
+ *  followed it, or preceded it, in tab order (see `getFocusRestoreTarget()`); or else the
+ *  container's first tabbable node (or the container itself, if it's focusable).
+ * @param {Object} token Returned by `saveFocus()`.
+ * @param {Object} [options] Options for `saveFocus()`, overriding those in the token,
+ *  plus `preventScroll` for `focus()`.
+ * @returns {Element|null} The node that was focused, if any.
+ */
+const restoreFocus = function (token, options) {
+  if (!token) {
+    throw new Error('No token provided');
+  }
+
+  options = { ...token.options, ...options };
+  const container = options.container || token.container;
+  options.container = container;
+
+  let target = token.node ? getFocusRestoreTarget(token, options) : null;
+  if (!target && isNodeAttached(container)) {
+    target =
+      firstTabbable(container, options) ||
+      (isFocusable(container, options) ? container : null);
+  }
+
+  target?.focus({ preventScroll: !!options.preventScroll });
+  return target;
+};
+
+export {
+  saveFocus,
+  restoreFocus,
+  // internals, for other modules only (i.e. not exported by `index.js`)
+  createFocusRestorePoint,
+  getFocusRestoreTarget,
+};
@@ -0,0 +1,222 @@
+import {
+  isTabbable,
+  isFocusable,
+  firstTabbable,
+  lastTabbable,
+  isNodeAttached,
+  getComposedPath,
+  validateOptions,
+} from './core.js';
+import { getSequentialFocusTarget } from './sequentialNavigation.js';
+import { getDeepActiveElement, containsFocus } from './activeElement.js';
+import {
+  createFocusRestorePoint,
+  getFocusRestoreTarget,
+} from './focusRestore.js';
+
+/**
+ * Keeps sequential focus navigation (Tab and Shift+Tab) inside a container: tabbing past
+ *  the last tabbable node moves focus to the first one, and vice versa.
+ * @param {Element} container
+ * @param {Object} [options] `tabbable()` options, plus:
+ * @param {boolean} [options.loop] True (default) to wrap around at either end; false
+ *  to keep focus on the first/last tabbable node instead.
+ * @param {Element|string|(() => Element)|false} [options.initialFocus] Node (or selector
+ *  within the container, or function returning a node) to focus when the scope is
+ *  created, unless focus is already inside the container; defaults to the first
+ *  tabbable node, or the container itself if it's focusable; false to leave focus as is.
+ * @param {boolean|Element} [options.returnFocus] True (default) to focus the node that
+ *  was focused when the scope was created, when it's destroyed; or the node to focus;
+ *  false to leave focus as is. If the node was removed, or is no longer focusable, the
+ *  nearest tabbable node is focused instead.
+ * @param {boolean} [options.contain] True to move focus back into the container when
+ *  it moves outside of it (e.g. on click); false (default) to only contain Tab.
+ * @returns {{ pause: () => void, resume: () => void, destroy: () => void }}
+ */
+const createFocusScope = function (container, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!container) {
+    throw new Error('No container provided');
+  }
+
+  const {
+    loop = true,
+    initialFocus,
+    returnFocus = true,
+    contain = false,
+  } = options;
+  const doc = container.ownerDocument;
+  const returnNode =
+    returnFocus === true
+      ? getDeepActiveElement(doc, options)
+      : returnFocus || null;
+
+  // NOTE: the body is where focus goes when nothing is focused, so there's nothing to restore
+  const restorePoint =
+    returnNode && returnNode !== doc.body
+      ? createFocusRestorePoint(returnNode)
+      : null;
+  let lastFocused = null;
+  let paused = false;
+
+  const containsNode = (node) =>
+    !!node && getComposedPath(node, options.getShadowRoot).includes(container);
+
+  const getInitialFocus = function () {
+    if (typeof initialFocus === 'function') {
+      return initialFocus();
+    }
+    if (typeof initialFocus === 'string') {
+      return container.querySelector(initialFocus);
+    }
+    if (initialFocus && initialFocus !== true) {
+      return initialFocus;
+    }
+    return (
+      firstTabbable(container, options) ||
+      (isFocusable(container, options) ? container : null)
+    );
+  };
+
+  const handleKeyDown = function (event) {
+    if (event.key !== 'Tab' || event.defaultPrevented) {
+      return;
+    }
+
+    // NOTE: the event is retargeted to the shadow host when focus is in a shadow root
+    const active = event.composedPath()[0];
+    const direction = event.shiftKey ? 'backward' : 'forward';
+    const navigationOptions = { ...options, direction };
+
+    // the first/last tabbable nodes are computed lazily, since the container's content
+    //  may have changed since the last key press
+    let target;
+    if (active !== container && isTabbable(active, options)) {
+      const edge = event.shiftKey
+        ? firstTabbable(container, navigationOptions)
+        : lastTabbable(container, navigationOptions);
+      if (active !== edge) {
+        return; // the browser moves focus within the container
+      }
+    } else {
+      // e.g. a node with a negative tabindex, or the container itself, which the browser
+      //  may not move focus from in the same order
+      target = getSequentialFocusTarget(active === container ? null : active, {
+        ...navigationOptions,
+        container,
+      });
+    }
+
+    if (!target && loop) {
+      target = event.shiftKey
+        ? lastTabbable(container, navigationOptions)
+        : firstTabbable(container, navigationOptions);
+    }
+
+    event.preventDefault();
+    target?.focus();
+  };
+
+  const handleFocusIn = function (event) {
+    const target = event.composedPath()[0];
+    if (containsNode(target)) {
+      lastFocused = target;
+      return;
+    }
+
+    const node =
+      lastFocused &&
+      isNodeAttached(lastFocused) &&
+      isFocusable(lastFocused, options)
+        ? lastFocused
+        : getInitialFocus();
+    node?.focus();
+  };
+
+  const addListeners = function () {
+    container.addEventListener('keydown', handleKeyDown);
+    if (contain) {
+      doc.addEventListener('focusin', handleFocusIn, true);
+    }
+  };
+
+  const removeListeners = function () {
+    container.removeEventListener('keydown', handleKeyDown);
+    doc.removeEventListener('focusin', handleFocusIn, true);
+  };
+
+  addListeners();
+
+  if (initialFocus !== false && !containsFocus(container, options)) {
+    getInitialFocus()?.focus();
+  }
+
+  return {
+    pause: () => {
+      if (!paused) {
+        paused = true;
+        removeListeners();
+      }
+    },
+    resume: () => {
+      if (paused) {
+        paused = false;
+        addListeners();
+      }
+    },
+    destroy: () => {
+      paused = true;
+      removeListeners();
+      if (restorePoint) {
+        getFocusRestoreTarget(restorePoint, options)?.focus();
+      }
+    },
+  };
+};
+
+/**
+ * Creates a stack of focus scopes (e.g. a modal opened from a drawer opened from a
+ *  popover), in which only the top-most scope is active: pushing a scope pauses the
+ *  one below it, and popping a scope returns focus and resumes the one below it.
+ * @returns {Object} `push()`, `pop()`, `pause()`, `resume()` and `getActiveScope()`.
+ */
+const createFocusScopeStack = function () {
+  const scopes = [];
+  let paused = false;
+
+  const getActiveScope = () => scopes[scopes.length - 1] || null;
+
+  return {
+    push: (container, options) => {
+      getActiveScope()?.pause();
+
+      // NOTE: the scope remembers what was focused before its initial focus is applied
+      const scope = createFocusScope(container, options);
+      if (paused) {
+        scope.pause();
+      }
+      scopes.push(scope);
+      return scope;
+    },
+    pop: () => {
+      const scope = scopes.pop() || null;
+      scope?.destroy();
+      if (!paused) {
+        getActiveScope()?.resume();
+      }
+      return scope;
+    },
+    pause: () => {
+      paused = true;
+      getActiveScope()?.pause();
+    },
+    resume: () => {
+      paused = false;
+      getActiveScope()?.resume();
+    },
+    getActiveScope,
+  };
+};
+
+export { createFocusScope, createFocusScopeStack };
@@ -0,0 +1,204 @@
+import {
+  focusable,
+  focusgroupMemory,
+  getFocusgroupTokens,
+  getFocusgroup,
+  getComposedParent,
+  validateOptions,
+} from './core.js';
+import { getSequentialFocusTarget } from './sequentialNavigation.js';
+
+/**
+ * Maps the logical directions of a focusgroup to arrow keys, according to its writing
+ *  mode and direction.
+ * @param {Element} group
+ * @returns {{ inlineNext: string, inlinePrevious: string, blockNext: string,
+ *  blockPrevious: string }}
+ */
+const getFocusgroupKeys = function (group) {
+  const { writingMode, direction } = getComputedStyle(group);
+  const rtl = direction === 'rtl';
+  if (/^(vertical|sideways)/.test(writingMode)) {
+    const rl = /-rl$/.test(writingMode);
+    return {
+      inlineNext: rtl ? 'ArrowUp' : 'ArrowDown',
+      inlinePrevious: rtl ? 'ArrowDown' : 'ArrowUp',
+      blockNext: rl ? 'ArrowLeft' : 'ArrowRight',
+      blockPrevious: rl ? 'ArrowRight' : 'ArrowLeft',
+    };
+  }
+  return {
+    inlineNext: rtl ? 'ArrowLeft' : 'ArrowRight',
+    inlinePrevious: rtl ? 'ArrowRight' : 'ArrowLeft',
+    blockNext: 'ArrowDown',
+    blockPrevious: 'ArrowUp',
+  };
+};
+
+/**
+ * Groups the items of a grid focusgroup into rows, which are `<tr>` or `role="row"`
+ *  elements.
+ * @param {Element} group
+ * @param {Element[]} items
+ * @returns {Element[][]} Items by row; items that aren't in a row are left out.
+ */
+const getFocusgroupRows = function (group, items) {
+  const rows = new Map();
+  items.forEach((item) => {
+    let row = getComposedParent(item);
+    while (
+      row &&
+      row !== group &&
+      !(row.tagName === 'TR' || row.getAttribute?.('role') === 'row')
+    ) {
+      row = getComposedParent(row);
+    }
+
+    if (row && row !== group) {
+      if (!rows.has(row)) {
+        rows.set(row, []);
+      }
+      rows.get(row).push(item);
+    }
+  });
+  return Array.from(rows.values());
+};
+
+/**
+ * Finds the item of a focusgroup to move focus to with a key.
+ * @param {Element} group
+ * @param {Element} item Focused item.
+ * @param {KeyboardEvent} event
+ * @param {Object} options `focusable()` options.
+ * @returns {Element|null|undefined} The item; falsy if the key doesn't move focus.
+ */
+const getFocusgroupTarget = function (group, item, event, options) {
+  const items = focusable(group, options).filter(
+    (el) => getFocusgroup(el) === group
+  );
+  const index = items.indexOf(item);
+  if (index < 0) {
+    return null;
+  }
+
+  const tokens = getFocusgroupTokens(group);
+  const wrap = tokens.includes('wrap');
+  const move = (list, i) =>
+    wrap ? list[(i + list.length) % list.length] : list[i];
+  const keys = getFocusgroupKeys(group);
+  const action =
+    Object.keys(keys).find((name) => keys[name] === event.key) || event.key;
+
+  if (tokens.includes('grid')) {
+    const rows = getFocusgroupRows(group, items);
+    const rowIndex = rows.findIndex((cells) => cells.includes(item));
+    if (rowIndex >= 0) {
+      const cells = rows[rowIndex];
+      const column = cells.indexOf(item);
+      // moving to a shorter row moves to its last cell
+      const getCell = (row) => row?.[Math.min(column, row.length - 1)];
+      switch (action) {
+        case 'inlineNext':
+          return move(cells, column + 1);
+        case 'inlinePrevious':
+          return move(cells, column - 1);
+        case 'blockNext':
+          return getCell(move(rows, rowIndex + 1));
+        case 'blockPrevious':
+          return getCell(move(rows, rowIndex - 1));
+        case 'Home':
+          return event.ctrlKey ? rows[0][0] : cells[0];
+        case 'End':
+          return event.ctrlKey
+            ? rows[rows.length - 1][rows[rows.length - 1].length - 1]
+            : cells[cells.length - 1];
+        default:
+          return null;
+      }
+    }
+  }
+
+  // the `inline` and `block` tokens limit arrow keys to one axis
+  const inline = !tokens.includes('block') || tokens.includes('inline');
+  const block = !tokens.includes('inline') || tokens.includes('block');
+  switch (action) {
+    case 'inlineNext':
+      return inline && move(items, index + 1);
+    case 'inlinePrevious':
+      return inline && move(items, index - 1);
+    case 'blockNext':
+      return block && move(items, index + 1);
+    case 'blockPrevious':
+      return block && move(items, index - 1);
+    case 'Home':
+      return items[0];
+    case 'End':
+      return items[items.length - 1];
+    default:
+      return null;
+  }
+};
+
+/**
+ * Polyfills the Open UI `focusgroup` attribute: arrow keys move focus between the
+ *  focusable items of a focusgroup, and each focusgroup is a single tab stop (its last
+ *  focused item, or else the first item in the direction it's entered from).
+ * @param {Document|ShadowRoot|Element} [root] Node on which keyboard and focus events are
+ *  handled; defaults to `document`.
+ * @param {Object} [options] `tabbable()` options, used to find items and tab stops.
+ * @returns {{ destroy: () => void }}
+ */
+const polyfillFocusgroup = function (root, options) {
+  root = root || document;
+  options = { ...options, focusgroup: true };
+  validateOptions(options);
+
+  const handleFocusIn = function (event) {
+    const target = event.composedPath()[0];
+    const group = getFocusgroup(target);
+    if (group) {
+      focusgroupMemory.set(group, target);
+    }
+  };
+
+  const handleKeyDown = function (event) {
+    if (event.defaultPrevented || event.altKey || event.metaKey) {
+      return;
+    }
+
+    const target = event.composedPath()[0];
+    let next;
+    if (event.key === 'Tab') {
+      if (!event.ctrlKey) {
+        next = getSequentialFocusTarget(target, {
+          ...options,
+          direction: event.shiftKey ? 'backward' : 'forward',
+        });
+        // leave it to the browser unless focus is moving into, or out of, a focusgroup
+        if (next && !getFocusgroup(target) && !getFocusgroup(next)) {
+          next = null;
+        }
+      }
+    } else {
+      const group = getFocusgroup(target);
+      next = group && getFocusgroupTarget(group, target, event, options);
+    }
+
+    if (next) {
+      event.preventDefault();
+      next.focus();
+    }
+  };
+
+  root.addEventListener('focusin', handleFocusIn);
+  root.addEventListener('keydown', handleKeyDown);
+
+  return {
+    destroy: () => {
+      root.removeEventListener('focusin', handleFocusIn);
+      root.removeEventListener('keydown', handleKeyDown);
+    },
+  };
+};
+
+export { polyfillFocusgroup };
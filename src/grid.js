@@ -0,0 +1,189 @@
+import { isFocusable, iterateFocusable } from './core.js';
+
+const gridSelector = '[role="grid"], [role="treegrid"], table';
+const gridCellSelector =
+  '[role="gridcell"], [role="columnheader"], [role="rowheader"], [role="cell"], td, th';
+
+/**
+ * @param {Element} cell
+ * @param {string} name 'colspan' or 'rowspan'.
+ * @returns {number} The span of the cell, from the native attribute (for `<td>` and
+ *  `<th>`) or the ARIA one, at least 1.
+ */
+const getCellSpan = function (cell, name) {
+  const span = parseInt(
+    cell.getAttribute(/^T[DH]$/.test(cell.tagName) ? name : `aria-${name}`),
+    10
+  );
+  return span > 1 ? span : 1;
+};
+
+/**
+ * Maps the rows (`<tr>` or `role="row"` elements) and cells (`<td>`, `<th>` or elements
+ *  with a cell role, like `role="gridcell"`) of a grid to coordinates, as the HTML table
+ *  model does: a cell spanning several rows or columns occupies all of their slots.
+ * @param {Element} grid
+ * @returns {Array<Array<Element|null>>} Cells by row, then by column; null where
+ *  a row has no cell.
+ */
+const getGridModel = function (grid) {
+  if (!grid) {
+    throw new Error('No grid provided');
+  }
+
+  // rows and cells of nested grids don't belong to this grid
+  const rows = Array.from(grid.querySelectorAll('tr, [role="row"]')).filter(
+    (row) => row.parentElement.closest(gridSelector) === grid
+  );
+
+  const model = [];
+  rows.forEach((row, rowIndex) => {
+    const cells = Array.from(row.querySelectorAll(gridCellSelector)).filter(
+      (cell) => cell.parentElement.closest('tr, [role="row"]') === row
+    );
+    model[rowIndex] = model[rowIndex] || [];
+    let column = 0;
+    cells.forEach((cell) => {
+      // skip slots occupied by cells spanning from previous rows
+      while (model[rowIndex][column]) {
+        column++;
+      }
+
+      const rowSpan = Math.min(
+        getCellSpan(cell, 'rowspan'),
+        rows.length - rowIndex
+      );
+      const colSpan = getCellSpan(cell, 'colspan');
+      for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+        model[r] = model[r] || [];
+        for (let c = column; c < column + colSpan; c++) {
+          model[r][c] = cell;
+        }
+      }
+      column += colSpan;
+    });
+  });
+
+  const columnCount = Math.max(0, ...model.map((row) => row.length));
+  return model.map((row) =>
+    Array.from({ length: columnCount }, (v, column) => row[column] || null)
+  );
+};
+
+/**
+ * Picks the node that receives focus for a grid cell: the cell itself, if it's
+ *  focusable, or else the first focusable node inside it (e.g. a button).
+ * @param {Element} cell
+ * @param {Object} [options] `isFocusable()` options.
+ * @returns {Element|null}
+ */
+const getGridFocusTarget = function (cell, options) {
+  if (isFocusable(cell, options)) {
+    return cell;
+  }
+  return iterateFocusable(cell, options).next().value || null;
+};
+
+/**
+ * Finds the node to move focus to in a grid, per the keyboard interaction of the ARIA
+ *  grid pattern: arrow keys move by one cell, Home/End to the first/last cell in the row
+ *  (in the grid, with Ctrl), and PageUp/PageDown by a number of rows. Cells without
+ *  a focus target (see `getGridFocusTarget()`) are skipped.
+ * @param {Element} node Focused node, in a cell of the grid.
+ * @param {{ key: string, ctrlKey?: boolean }} event Key pressed, e.g. a `KeyboardEvent`.
+ * @param {Object} [options] `isFocusable()` options, plus `grid` (defaults to the closest
+ *  grid around the node) and `pageSize` (number of rows PageUp/PageDown move by; defaults
+ *  to 10).
+ * @returns {Element|null} The node to focus; null if the key doesn't move focus.
+ */
+const findNextInGrid = function (node, event, options) {
+  options = options || {};
+  if (!node) {
+    throw new Error('No node provided');
+  }
+
+  const grid = options.grid || node.closest(gridSelector);
+  const model = grid ? getGridModel(grid) : [];
+  let rowIndex = -1;
+  let column = -1;
+  const cell = node.closest(gridCellSelector);
+  model.some((row, r) => {
+    column = row.indexOf(cell);
+    rowIndex = r;
+    return column >= 0;
+  });
+  if (column < 0) {
+    return null;
+  }
+
+  const getTarget = (r, c) =>
+    model[r][c] && model[r][c] !== cell
+      ? getGridFocusTarget(model[r][c], options)
+      : null;
+
+  // finds the first target, starting at a slot, moving by a step (up to a number of
+  //  slots), skipping slots of the current cell and slots without a target
+  const scan = function (r, c, rowStep, columnStep, count = Infinity) {
+    while (
+      count-- > 0 &&
+      r >= 0 &&
+      r < model.length &&
+      c >= 0 &&
+      c < model[0].length
+    ) {
+      const target = getTarget(r, c);
+      if (target) {
+        return target;
+      }
+      r += rowStep;
+      c += columnStep;
+    }
+    return null;
+  };
+
+  // scans row by row, from the first or last row
+  const scanGrid = function (fromEnd) {
+    for (let i = 0; i < model.length; i++) {
+      const r = fromEnd ? model.length - 1 - i : i;
+      const target = fromEnd
+        ? scan(r, model[0].length - 1, 0, -1)
+        : scan(r, 0, 0, 1);
+      if (target) {
+        return target;
+      }
+    }
+    return null;
+  };
+
+  const { pageSize = 10 } = options;
+  const rtl = getComputedStyle(grid).direction === 'rtl';
+  switch (event.key) {
+    case 'ArrowUp':
+      return scan(rowIndex - 1, column, -1, 0);
+    case 'ArrowDown':
+      return scan(rowIndex + 1, column, 1, 0);
+    case 'ArrowLeft':
+      return scan(rowIndex, column + (rtl ? 1 : -1), 0, rtl ? 1 : -1);
+    case 'ArrowRight':
+      return scan(rowIndex, column + (rtl ? -1 : 1), 0, rtl ? -1 : 1);
+    case 'Home':
+      return event.ctrlKey ? scanGrid(false) : scan(rowIndex, 0, 0, 1);
+    case 'End':
+      return event.ctrlKey
+        ? scanGrid(true)
+        : scan(rowIndex, model[0].length - 1, 0, -1);
+    case 'PageUp': {
+      // move by up to a page, back toward the current row if there's no target
+      const r = Math.max(0, rowIndex - pageSize);
+      return scan(r, column, 1, 0, rowIndex - r);
+    }
+    case 'PageDown': {
+      const r = Math.min(model.length - 1, rowIndex + pageSize);
+      return scan(r, column, -1, 0, r - rowIndex);
+    }
+    default:
+      return null;
+  }
+};
+
+export { getGridModel, getGridFocusTarget, findNextInGrid };
@@ -0,0 +1,112 @@
+import { tabbable, getShadowRoots, observedAttributes } from './core.js';
+
+/**
+ * @typedef {Object} TabbablesDiff
+ * @property {Element[]} tabbables current tabbable nodes, in tab order
+ * @property {Element[]} previousTabbables tabbable nodes prior to the change
+ * @property {Element[]} added nodes that became tabbable, in tab order
+ * @property {Element[]} removed nodes that are no longer tabbable, in previous tab order
+ * @property {boolean} reordered True if nodes that remained tabbable changed order.
+ */
+
+/**
+ * @param {Element[]} previousTabbables
+ * @param {Element[]} tabbables
+ * @returns {TabbablesDiff|undefined} Undefined if there are no differences.
+ */
+const diffTabbables = function (previousTabbables, tabbables) {
+  const previousSet = new Set(previousTabbables);
+  const currentSet = new Set(tabbables);
+  const added = tabbables.filter((el) => !previousSet.has(el));
+  const removed = previousTabbables.filter((el) => !currentSet.has(el));
+
+  const previousRemaining = previousTabbables.filter((el) =>
+    currentSet.has(el)
+  );
+  const reordered = tabbables
+    .filter((el) => previousSet.has(el))
+    .some((el, i) => el !== previousRemaining[i]);
+
+  if (added.length || removed.length || reordered) {
+    return { tabbables, previousTabbables, added, removed, reordered };
+  }
+};
+
+/**
+ * Watches a container for changes to its tabbable nodes.
+ * @param {Element} container
+ * @param {(diff: TabbablesDiff) => void} callback Called whenever the tabbable nodes,
+ *  or their order, change.
+ * @param {Object} [options] `tabbable()` options.
+ * @returns {{ getTabbables: () => Element[], update: () => void, disconnect: () => void }}
+ */
+const observeTabbables = function (container, callback, options) {
+  options = options || {};
+  if (!container) {
+    throw new Error('No container provided');
+  }
+
+  let tabbables = tabbable(container, options);
+  let observedRoots = [];
+  let observer = null;
+  let disconnected = false;
+
+  const stopObserving = function (handleChange) {
+    observer?.disconnect();
+    observer = null;
+    observedRoots.forEach((root) =>
+      root.removeEventListener('change', handleChange)
+    );
+    observedRoots = [];
+  };
+
+  const observe = function (handleChange) {
+    stopObserving(handleChange);
+
+    observer = new MutationObserver(handleChange);
+    observedRoots = [
+      container,
+      ...getShadowRoots(container, options.getShadowRoot),
+    ];
+    observedRoots.forEach((root) => {
+      observer.observe(root, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: observedAttributes,
+      });
+      // NOTE: checking a radio (or checkbox) changes its `checked` property, not its
+      //  attribute, so there's no mutation; `change` events don't cross shadow
+      //  boundaries either, hence listening on every root
+      root.addEventListener('change', handleChange);
+    });
+  };
+
+  const update = function () {
+    if (disconnected) {
+      return;
+    }
+
+    const previousTabbables = tabbables;
+    tabbables = tabbable(container, options);
+    observe(update); // shadow roots may have been added or removed
+
+    const diff = diffTabbables(previousTabbables, tabbables);
+    if (diff) {
+      callback(diff);
+    }
+  };
+
+  observe(update);
+
+  return {
+    getTabbables: () => tabbables,
+    update,
+    disconnect: () => {
+      disconnected = true;
+      stopObserving(update);
+    },
+  };
+};
+
+export { observeTabbables };
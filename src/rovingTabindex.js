@@ -0,0 +1,190 @@
+import { isFocusable, observedAttributes, validateOptions } from './core.js';
+import { createTypeaheadMatcher } from './typeahead.js';
+
+/**
+ * Manages a roving tabindex in a composite widget (e.g. a toolbar, tab list, listbox or
+ *  tree): only the active item is tabbable (`tabindex="0"`), the others have
+ *  `tabindex="-1"`, and arrow keys move focus (and the tab stop) between items.
+ * @param {Element} container
+ * @param {Object} [options] `isFocusable()` options, plus:
+ * @param {string} [options.itemSelector] Selector for the items within the container;
+ *  defaults to the container's children.
+ * @param {'horizontal'|'vertical'|'both'} [options.orientation] Arrow keys that move
+ *  focus; defaults to 'both'.
+ * @param {boolean} [options.wrap] True (default) to move from the last item to the first,
+ *  and vice versa.
+ * @param {boolean} [options.homeEnd] True (default) to move to the first/last item with
+ *  the Home/End keys.
+ * @param {boolean} [options.typeahead] True to move to the next item whose accessible
+ *  name starts with the typed characters; defaults to false.
+ * @returns {{ getItems: () => Element[], getActiveItem: () => Element|null,
+ *  setActiveItem: (item: Element) => void, update: () => void, destroy: () => void }}
+ */
+const createRovingTabindex = function (container, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!container) {
+    throw new Error('No container provided');
+  }
+
+  const {
+    orientation = 'both',
+    wrap = true,
+    homeEnd = true,
+    typeahead = false,
+  } = options;
+
+  let items = [];
+  let activeItem = null;
+  let observer = null;
+  const typeaheadMatcher = createTypeaheadMatcher();
+
+  const getMatchingItems = function () {
+    return Array.from(
+      options.itemSelector
+        ? container.querySelectorAll(options.itemSelector)
+        : container.children
+    );
+  };
+
+  const setTabindex = function (item, value) {
+    // NOTE: setting an attribute to the same value still queues a mutation
+    if (item.getAttribute('tabindex') !== value) {
+      item.setAttribute('tabindex', value);
+    }
+  };
+
+  const update = function () {
+    const matchingItems = getMatchingItems();
+    // items need a tabindex to be focusable at all (e.g. `<div role="option">`)
+    matchingItems.forEach((item) => {
+      if (!item.hasAttribute('tabindex')) {
+        item.setAttribute('tabindex', '-1');
+      }
+    });
+
+    const previousItems = items;
+    items = matchingItems.filter((item) => isFocusable(item, options));
+
+    if (!items.includes(activeItem)) {
+      // the active item was removed, or is no longer focusable: move the tab stop to
+      //  its closest neighbor, following first
+      const index = previousItems.indexOf(activeItem);
+      activeItem =
+        (index >= 0 &&
+          (previousItems
+            .slice(index + 1)
+            .find((item) => items.includes(item)) ||
+            previousItems
+              .slice(0, index)
+              .reverse()
+              .find((item) => items.includes(item)))) ||
+        items.find((item) => item.getAttribute('tabindex') === '0') ||
+        items[0] ||
+        null;
+    }
+
+    matchingItems.forEach((item) =>
+      setTabindex(item, item === activeItem ? '0' : '-1')
+    );
+    observer?.takeRecords(); // ignore our own changes
+  };
+
+  const setActiveItem = function (item) {
+    if (items.includes(item)) {
+      activeItem = item;
+      update();
+    }
+  };
+
+  const getItemAt = function (index) {
+    return wrap ? items[(index + items.length) % items.length] : items[index];
+  };
+
+  const handleKeyDown = function (event) {
+    const index = items.indexOf(event.target);
+    if (
+      index < 0 ||
+      event.defaultPrevented ||
+      event.altKey ||
+      event.ctrlKey ||
+      event.metaKey
+    ) {
+      return;
+    }
+
+    const horizontal = orientation !== 'vertical';
+    const vertical = orientation !== 'horizontal';
+    const step = getComputedStyle(container).direction === 'rtl' ? -1 : 1;
+    let target;
+    switch (event.key) {
+      case 'ArrowDown':
+        target = vertical && getItemAt(index + 1);
+        break;
+      case 'ArrowUp':
+        target = vertical && getItemAt(index - 1);
+        break;
+      case 'ArrowRight':
+        target = horizontal && getItemAt(index + step);
+        break;
+      case 'ArrowLeft':
+        target = horizontal && getItemAt(index - step);
+        break;
+      case 'Home':
+        target = homeEnd && items[0];
+        break;
+      case 'End':
+        target = homeEnd && items[items.length - 1];
+        break;
+      default:
+        // NOTE: Space typically activates the item, unless already typing ahead
+        if (
+          typeahead &&
+          event.key.length === 1 &&
+          (event.key !== ' ' || typeaheadMatcher.isTyping())
+        ) {
+          target = typeaheadMatcher.find(event.key, items, index);
+        }
+    }
+
+    if (target) {
+      event.preventDefault();
+      setActiveItem(target);
+      target.focus();
+    }
+  };
+
+  const handleFocusIn = function (event) {
+    // e.g. an item was clicked, or focused programmatically
+    const item = items.find((el) => el.contains(event.target));
+    if (item && item !== activeItem) {
+      setActiveItem(item);
+    }
+  };
+
+  update();
+  container.addEventListener('keydown', handleKeyDown);
+  container.addEventListener('focusin', handleFocusIn);
+  observer = new MutationObserver(update);
+  observer.observe(container, {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    attributeFilter: observedAttributes,
+  });
+
+  return {
+    getItems: () => items,
+    getActiveItem: () => activeItem,
+    setActiveItem,
+    update,
+    destroy: () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      container.removeEventListener('focusin', handleFocusIn);
+      observer.disconnect();
+      typeaheadMatcher.reset();
+    },
+  };
+};
+
+export { createRovingTabindex };
@@ -0,0 +1,136 @@
+import {
+  tabbable,
+  getTabindex,
+  isNodeAttached,
+  compareComposedOrder,
+  getComposedPath,
+  validateOptions,
+} from './core.js';
+
+/**
+ * @param {Node|null} node starting point; if falsy, navigation starts from the
+ *  `container` itself, as browsers do from the document when there is no starting point
+ * @param {Object} options `tabbable()` options, plus `container` and `wrap`
+ * @param {boolean} forward True to get the next tabbable; false for the previous one.
+ * @returns {Element|null}
+ */
+const getRelativeTabbable = function (node, options, forward) {
+  const container =
+    options.container || (node ? node.ownerDocument : document).body;
+  const tabbables = tabbable(container, {
+    ...options,
+    // radio groups with no checked radio are entered at either end, depending on direction
+    direction: forward ? 'forward' : 'backward',
+  });
+  if (!tabbables.length) {
+    return null;
+  }
+
+  let index;
+  if (node) {
+    // a node inside a tabbable element (e.g. a `<span>` in a `<button>`) is given focus
+    //  by way of that element, so start from there
+    const startNode =
+      getComposedPath(node)
+        .reverse()
+        .find((el) => tabbables.includes(el)) || node;
+
+    index = tabbables.indexOf(startNode);
+    if (index >= 0) {
+      index += forward ? 1 : -1;
+    } else {
+      // the node isn't tabbable (e.g. a clicked `<div>` or an element with `tabindex="-1"`)
+      //  so treat it as though it had a zero tabindex, sitting just before the first
+      //  zero-tabindex tabbable that follows it in document order (positive tabindex
+      //  tabbables always come first)
+      index = tabbables.findIndex(
+        (el) => getTabindex(el) === 0 && compareComposedOrder(startNode, el) < 0
+      );
+      if (index < 0) {
+        index = tabbables.length;
+      }
+      index -= forward ? 0 : 1;
+    }
+  } else {
+    index = forward ? 0 : tabbables.length - 1;
+  }
+
+  if (index < 0 || index >= tabbables.length) {
+    if (!options.wrap) {
+      return null;
+    }
+    index = (index + tabbables.length) % tabbables.length;
+  }
+
+  return tabbables[index];
+};
+
+const getNextTabbable = function (node, options) {
+  if (!node) {
+    throw new Error('No node provided');
+  }
+  return getRelativeTabbable(node, options || {}, true);
+};
+
+const getPreviousTabbable = function (node, options) {
+  if (!node) {
+    throw new Error('No node provided');
+  }
+  return getRelativeTabbable(node, options || {}, false);
+};
+
+/**
+ * Resolves the node at a boundary point, in the way browsers resolve a `Range` used
+ *  as the sequential focus navigation starting point.
+ * @param {Range} range
+ * @returns {Node}
+ */
+const getRangeStartNode = function (range) {
+  const { startContainer, startOffset } = range;
+  if (
+    startContainer.nodeType === Node.TEXT_NODE ||
+    startOffset >= startContainer.childNodes.length
+  ) {
+    // in text, or after the last child, so the container is the closest node
+    return startContainer;
+  }
+  return startContainer.childNodes[startOffset];
+};
+
+/**
+ * Determines which element a browser would focus on Tab (or Shift+Tab) from a given
+ *  sequential focus navigation starting point, which is the focused element, or where
+ *  the user last clicked, or the target of the last fragment navigation.
+ * @param {Node|Range|null} [startingPoint] If falsy, or detached from the document,
+ *  navigation starts from the top (or bottom) of the container, as browsers do.
+ * @param {Object} [options] `getNextTabbable()` options, plus a `direction` of
+ *  'forward' (default) or 'backward'.
+ * @returns {Element|null}
+ */
+const getSequentialFocusTarget = function (startingPoint, options) {
+  options = options || {};
+  validateOptions(options);
+
+  let node = startingPoint;
+  if (node && typeof node.startContainer !== 'undefined') {
+    node = getRangeStartNode(node);
+  }
+
+  const container = options.container || (node?.ownerDocument || document).body;
+
+  if (node && !isNodeAttached(node)) {
+    // like a removed element, a detached starting point has no position in the document
+    node = null;
+  }
+
+  // NOTE: a starting point inside an inert subtree, a closed `<details>`, or a shadow
+  //  root (where `getShadowRoot` is enabled) isn't tabbable, so it's resolved by its
+  //  position in the document like any other non-tabbable node
+  return getRelativeTabbable(
+    node,
+    { ...options, container },
+    options.direction !== 'backward'
+  );
+};
+
+export { getNextTabbable, getPreviousTabbable, getSequentialFocusTarget };
@@ -0,0 +1,179 @@
+import { focusable, getComposedParent, getComposedPath } from './core.js';
+
+/**
+ * Determines if a node is a scroll container, i.e. it clips its content, which may be
+ *  scrolled (programmatically, at least) into view.
+ * @param {Node} node
+ * @returns {boolean}
+ */
+const isScrollContainer = function (node) {
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return false;
+  }
+  const { overflowX, overflowY } = getComputedStyle(node);
+  return [overflowX, overflowY].some((overflow) =>
+    /^(auto|scroll|hidden)$/.test(overflow)
+  );
+};
+
+/**
+ * Finds the closest scroll container of a node, in the flat tree.
+ * @param {Node} node
+ * @param {Element} container Returned if no scroll container is found inside it.
+ * @returns {Element}
+ */
+const getScrollContainer = function (node, container) {
+  let parent = getComposedParent(node);
+  while (parent && parent !== container) {
+    if (isScrollContainer(parent)) {
+      return parent;
+    }
+    parent = getComposedParent(parent);
+  }
+  return container;
+};
+
+/**
+ * Determines if a node is entirely clipped by one of its scroll containers, up to
+ *  (but not including) `container`.
+ * @param {Element} node
+ * @param {Element} container
+ * @returns {boolean}
+ */
+const isClippedWithin = function (node, container) {
+  const rect = node.getBoundingClientRect();
+  let scrollContainer = getScrollContainer(node, container);
+  while (scrollContainer !== container) {
+    const clip = scrollContainer.getBoundingClientRect();
+    if (
+      rect.right <= clip.left ||
+      rect.left >= clip.right ||
+      rect.bottom <= clip.top ||
+      rect.top >= clip.bottom
+    ) {
+      return true;
+    }
+    scrollContainer = getScrollContainer(scrollContainer, container);
+  }
+  return false;
+};
+
+/**
+ * Determines if a box is in a direction from another box: it must extend further in that
+ *  direction, and not start before the other box does.
+ * @param {DOMRect} fromRect
+ * @param {DOMRect} rect
+ * @param {'up'|'down'|'left'|'right'} dir
+ * @returns {boolean}
+ */
+const isInDirection = function (fromRect, rect, dir) {
+  switch (dir) {
+    case 'up':
+      return rect.top < fromRect.top && rect.bottom <= fromRect.bottom;
+    case 'down':
+      return rect.bottom > fromRect.bottom && rect.top >= fromRect.top;
+    case 'left':
+      return rect.left < fromRect.left && rect.right <= fromRect.right;
+    default:
+      return rect.right > fromRect.right && rect.left >= fromRect.left;
+  }
+};
+
+/**
+ * Distance from one box to another, in a direction, per the CSS Spatial Navigation draft
+ *  (https://drafts.csswg.org/css-nav-1/#find-the-shortest-distance):
+ *  `A + B + C - D`, where `A` is the euclidean distance between the closest points of
+ *  the boxes, `B` the distance along the direction, `C` the distance along the orthogonal
+ *  axis, weighted so that aligned boxes are preferred, and `D` the square root of the
+ *  area of overlap of the boxes.
+ * @param {DOMRect} fromRect
+ * @param {DOMRect} rect
+ * @param {'up'|'down'|'left'|'right'} dir
+ * @returns {number}
+ */
+const getSpatialDistance = function (fromRect, rect, dir) {
+  const horizontal = dir === 'left' || dir === 'right';
+  const gapX = Math.max(
+    0,
+    rect.left - fromRect.right,
+    fromRect.left - rect.right
+  );
+  const gapY = Math.max(
+    0,
+    rect.top - fromRect.bottom,
+    fromRect.top - rect.bottom
+  );
+  const overlapX = Math.max(
+    0,
+    Math.min(rect.right, fromRect.right) - Math.max(rect.left, fromRect.left)
+  );
+  const overlapY = Math.max(
+    0,
+    Math.min(rect.bottom, fromRect.bottom) - Math.max(rect.top, fromRect.top)
+  );
+
+  const distance = horizontal ? gapX : gapY;
+  const orthogonalDistance = horizontal ? gapY : gapX;
+  const orthogonalWeight = horizontal ? 30 : 2;
+
+  return (
+    Math.sqrt(gapX * gapX + gapY * gapY) +
+    distance +
+    orthogonalDistance * orthogonalWeight -
+    Math.sqrt(overlapX * overlapY)
+  );
+};
+
+/**
+ * Finds the focusable node that is geometrically closest to a node in a direction, as
+ *  with arrow keys in spatial navigation.
+ * @param {Element} from Node to navigate from, which doesn't need to be focusable.
+ * @param {'up'|'down'|'left'|'right'} dir
+ * @param {Object} [options] `focusable()` options, plus `container`, in which to look
+ *  for nodes (defaults to the `from` node's document's body).
+ * @returns {Element|null} The closest node, searching in the closest scroll container of
+ *  the `from` node first, and then in its ancestor scroll containers; null if none.
+ */
+const findNextInDirection = function (from, dir, options) {
+  options = options || {};
+  if (!from) {
+    throw new Error('No node provided');
+  }
+  if (!/^(up|down|left|right)$/.test(dir)) {
+    throw new Error(`Invalid direction "${dir}"`);
+  }
+
+  const container = options.container || from.ownerDocument.body;
+  const fromRect = from.getBoundingClientRect();
+  const candidates = focusable(container, options)
+    .filter((el) => el !== from)
+    .map((el) => ({ el, rect: el.getBoundingClientRect() }))
+    .filter(({ rect }) => isInDirection(fromRect, rect, dir));
+
+  let searchContainer = getScrollContainer(from, container);
+  for (;;) {
+    let closest = null;
+    let closestDistance = Infinity;
+    for (let i = 0; i < candidates.length; i++) {
+      const { el, rect } = candidates[i];
+      if (
+        (searchContainer === container ||
+          getComposedPath(el).includes(searchContainer)) &&
+        !isClippedWithin(el, searchContainer)
+      ) {
+        const distance = getSpatialDistance(fromRect, rect, dir);
+        if (distance < closestDistance) {
+          closest = el;
+          closestDistance = distance;
+        }
+      }
+    }
+
+    if (closest || searchContainer === container) {
+      return closest;
+    }
+    searchContainer = getScrollContainer(searchContainer, container);
+  }
+};
+
+export { findNextInDirection };
@@ -0,0 +1,153 @@
+import {
+  tabbable,
+  focusable,
+  isInput,
+  isContentEditable,
+  getRootNode,
+  validateOptions,
+} from './core.js';
+
+/**
+ * Computes a simplified accessible name for a node, from the first of: its
+ *  `aria-labelledby` references, its `aria-label`, its labels (e.g. `<label for>`), its
+ *  text content, or its `title`.
+ * @param {Element} node
+ * @returns {string} The name, with whitespace collapsed; empty if it has none.
+ */
+const getAccessibleName = function (node) {
+  const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+  const root = getRootNode(node);
+
+  const labelledBy = (node.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map((id) => id && root?.getElementById?.(id))
+    .filter(Boolean);
+  const names = [
+    labelledBy.map((el) => el.textContent).join(' '),
+    node.getAttribute('aria-label'),
+    Array.from(node.labels || [])
+      .map((label) => label.textContent)
+      .join(' '),
+    node.textContent,
+    node.getAttribute('title'),
+  ];
+
+  for (let i = 0; i < names.length; i++) {
+    const name = normalize(names[i]);
+    if (name) {
+      return name;
+    }
+  }
+  return '';
+};
+
+/**
+ * Creates a type-ahead matcher, which accumulates typed characters until none have been
+ *  typed for a while.
+ * @param {number} [timeout] Milliseconds after which typed characters are forgotten.
+ * @returns {{ isTyping: () => boolean, find: (char: string, items: Element[],
+ *  index: number) => Element|undefined, reset: () => void }}
+ */
+const createTypeaheadMatcher = function (timeout = 500) {
+  let buffer = '';
+  let timer = null;
+
+  const reset = function () {
+    clearTimeout(timer);
+    buffer = '';
+  };
+
+  // finds the item whose accessible name starts with the typed characters, after
+  //  typing `char`, starting from the item at `index` (the focused one, if any)
+  const find = function (char, items, index) {
+    clearTimeout(timer);
+    timer = setTimeout(reset, timeout);
+    buffer += char.toLowerCase();
+
+    // typing the same character repeatedly cycles through the items that start with it,
+    //  while typing more characters refines the match, starting with the focused item
+    const repeated = buffer.split('').every((c) => c === buffer[0]);
+    const search = repeated ? buffer[0] : buffer;
+    const start = Math.max(0, repeated ? index + 1 : index);
+    for (let i = 0; i < items.length; i++) {
+      const item = items[(start + i) % items.length];
+      if (getAccessibleName(item).toLowerCase().startsWith(search)) {
+        return item;
+      }
+    }
+    return undefined;
+  };
+
+  return { isTyping: () => !!buffer, find, reset };
+};
+
+/**
+ * Handles type-ahead in a container (e.g. a menu or listbox): typing characters moves
+ *  focus to the next candidate whose accessible name starts with them.
+ * @param {Element} container
+ * @param {Object} [options] `focusable()` options, plus `tabbable` (true to only consider
+ *  tabbable nodes; defaults to false) and `timeout` (milliseconds after which typed
+ *  characters are forgotten; defaults to 500).
+ * @returns {{ reset: () => void, destroy: () => void }}
+ */
+const createTypeahead = function (container, options) {
+  options = options || {};
+  validateOptions(options);
+  if (!container) {
+    throw new Error('No container provided');
+  }
+
+  const matcher = createTypeaheadMatcher(options.timeout);
+
+  const handleKeyDown = function (event) {
+    const target = event.composedPath()[0];
+    if (
+      event.defaultPrevented ||
+      event.altKey ||
+      event.ctrlKey ||
+      event.metaKey ||
+      event.key.length !== 1 ||
+      // Space typically activates the focused node, unless already typing ahead
+      (event.key === ' ' && !matcher.isTyping()) ||
+      // leave characters typed in text fields (and selects, which have their own
+      //  type-ahead) alone
+      (isInput(target) &&
+        !/^(button|checkbox|color|file|image|radio|range|reset|submit)$/.test(
+          target.type
+        )) ||
+      /^(TEXTAREA|SELECT)$/.test(target.tagName) ||
+      isContentEditable(target)
+    ) {
+      return;
+    }
+
+    const candidates = options.tabbable
+      ? tabbable(container, options)
+      : focusable(container, options);
+    const match = matcher.find(
+      event.key,
+      candidates,
+      candidates.indexOf(target)
+    );
+    if (match) {
+      event.preventDefault();
+      match.focus();
+    }
+  };
+
+  container.addEventListener('keydown', handleKeyDown);
+
+  return {
+    reset: matcher.reset,
+    destroy: () => {
+      container.removeEventListener('keydown', handleKeyDown);
+      matcher.reset();
+    },
+  };
+};
+
+export {
+  createTypeahead,
+  // internals, for other modules only (i.e. not exported by `index.js`)
+  createTypeaheadMatcher,
+};
@@ -0,0 +1,95 @@
+import { isZeroArea, getReadingPosition, getComposedParent } from './core.js';
+
+/**
+ * Determines if `position` comes before `otherPosition` in reading order, by more than
+ *  `threshold` pixels on the block axis or, if on the same line, on the inline axis.
+ * @param {{ block: number, inline: number }} position
+ * @param {{ block: number, inline: number }} otherPosition
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+const isBeforeInReadingOrder = function (position, otherPosition, threshold) {
+  const blockDelta = otherPosition.block - position.block;
+  if (Math.abs(blockDelta) > threshold) {
+    return blockDelta > 0;
+  }
+  return otherPosition.inline - position.inline > threshold;
+};
+
+/**
+ * Compares the order of a list of nodes (e.g. as returned by `tabbable()`) to their
+ *  visual (reading) order on screen, using their layout boxes.
+ * @param {Array<Element>} elements
+ * @param {Object} [options]
+ * @param {number} [options.threshold] Number of pixels by which a node must regress
+ *  before it's considered out of order. Defaults to 5.
+ * @param {Element} [options.container] Element from which the writing mode and direction
+ *  are read. Defaults to the first node's parent in the flat tree (e.g. the shadow host
+ *  of a node at the top of a shadow root).
+ * @param {string} [options.writingMode] Overrides the container's CSS `writing-mode`.
+ * @param {'ltr'|'rtl'} [options.dir] Overrides the container's CSS `direction`.
+ * @returns {{ mismatches: Array<{ from: Element, to: Element }>, visualOrder: Array<Element> }}
+ *  Consecutive nodes where moving from one to the other regresses in reading order,
+ *  and the nodes sorted in reading order. Nodes without a layout box are ignored.
+ */
+const compareVisualOrder = function (elements, options) {
+  options = options || {};
+  if (!elements) {
+    throw new Error('No elements provided');
+  }
+
+  const { threshold = 5 } = options;
+  const laidOut = elements.filter((el) => !isZeroArea(el));
+  if (laidOut.length === 0) {
+    return { mismatches: [], visualOrder: [] };
+  }
+
+  // NOTE: a node at the top of a shadow root has no parent element, and the root element
+  //  has the document as its parent, which has no computed style
+  const parent = getComposedParent(laidOut[0]);
+  const style = getComputedStyle(
+    options.container ||
+      (parent?.nodeType === Node.ELEMENT_NODE ? parent : laidOut[0])
+  );
+  const writingMode =
+    options.writingMode || style.writingMode || 'horizontal-tb';
+  const dir = options.dir || style.direction || 'ltr';
+
+  const positions = laidOut.map((el, index) => ({
+    el,
+    index,
+    ...getReadingPosition(el.getBoundingClientRect(), writingMode, dir),
+  }));
+
+  const mismatches = [];
+  for (let i = 1; i < positions.length; i++) {
+    if (isBeforeInReadingOrder(positions[i], positions[i - 1], threshold)) {
+      mismatches.push({ from: positions[i - 1].el, to: positions[i].el });
+    }
+  }
+
+  // group nodes into lines, then sort each line along the inline axis (grouping first
+  //  keeps the sort consistent, which comparing with a threshold wouldn't be)
+  const lines = [];
+  [...positions]
+    .sort((a, b) => a.block - b.block || a.index - b.index)
+    .forEach((position) => {
+      const line = lines[lines.length - 1];
+      if (line && position.block - line[0].block <= threshold) {
+        line.push(position);
+      } else {
+        lines.push([position]);
+      }
+    });
+
+  const visualOrder = [];
+  lines.forEach((line) => {
+    line
+      .sort((a, b) => a.inline - b.inline || a.index - b.index)
+      .forEach(({ el }) => visualOrder.push(el));
+  });
+
+  return { mismatches, visualOrder };
+};
+
+export { compareVisualOrder };
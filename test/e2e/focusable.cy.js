@@ -1,4 +1,4 @@
-import { focusable } from '../../src/index.js';
+import { focusable, findNextInDirection } from '../../src/index.js';
 import {
   setupTestWindow,
   getFixtures,
@@ -300,7 +300,17 @@ describe('focusable', () => {
     });
 
     it('correctly identifies focusable elements in the "svg" example', () => {
-      const expectedFocusableIds = ['svg-btn', 'svg-1', 'svg-2'];
+      const expectedFocusableIds = [
+        'svg-btn',
+        'svg-1',
+        'svg-2',
+        'svg-link',
+        'svg-xlink',
+        'svg-link-negative-tabindex',
+        'foreign-object-btn',
+        'math-tabindex',
+        'math-negative-tabindex',
+      ];
 
       const container = document.createElement('div');
       container.innerHTML = fixtures.svg;
@@ -518,4 +528,40 @@ describe('focusable', () => {
       });
     });
   });
+
+  describe('findNextInDirection', () => {
+    let container;
+
+    const findId = (fromId, dir) =>
+      findNextInDirection(container.querySelector(`#${fromId}`), dir, {
+        container,
+      })?.id;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = fixtures['spatial-navigation'];
+      document.body.append(container);
+    });
+
+    it('finds the closest focusable element in each direction in the "spatial-navigation" example', () => {
+      expect(findId('grid-5', 'up')).to.equal('grid-2');
+      // grid-8 is hidden, and grid-7 and grid-9 are as close, but grid-7 comes first
+      expect(findId('grid-5', 'down')).to.equal('grid-7');
+      expect(findId('grid-5', 'left')).to.equal('grid-4');
+      expect(findId('grid-5', 'right')).to.equal('grid-6');
+      expect(findId('grid-1', 'up')).to.equal(undefined);
+      expect(findId('grid-1', 'left')).to.equal(undefined);
+    });
+
+    it('honors scroll containers in the "spatial-navigation" example', () => {
+      // scrolled out of view, but in the same scroll container
+      expect(findId('scroller-1', 'down')).to.equal('scroller-2');
+      expect(findId('scroller-2', 'down')).to.equal('scroller-3');
+      // nothing to the right in the scroll container
+      expect(findId('scroller-2', 'right')).to.equal('beside-scroller');
+      // scroller-3 and scroller-4 are clipped by the scroll container
+      expect(findId('below-scroller', 'up')).to.equal('scroller-2');
+      expect(findId('beside-scroller', 'left')).to.equal('scroller-1');
+    });
+  });
 });
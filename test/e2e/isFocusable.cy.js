@@ -71,6 +71,17 @@ describe('isFocusable', () => {
       expect(isFocusable(getByText(container, 'Focusable'))).to.eql(true);
     });
 
+    it('returns true for an `area` element with an `href` attribute in a displayed image map', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures['image-map'];
+      document.body.append(container);
+
+      expect(isFocusable(container.querySelector('#area-1'))).to.eql(true);
+      expect(
+        isFocusable(container.querySelector('#area-negative-tabindex'))
+      ).to.eql(true);
+    });
+
     it('returns true for an `audio` element with a `controls` attribute', () => {
       const container = document.createElement('div');
       container.innerHTML = '<audio data-testid="testAudio" controls></audio>';
@@ -217,6 +228,22 @@ describe('isFocusable', () => {
       expect(isFocusable(getByText(container, 'Not focusable'))).to.eql(false);
     });
 
+    it('returns false for an `area` element without an `href` attribute, or in an image map that is hidden or unused', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures['image-map'];
+      document.body.append(container);
+
+      expect(isFocusable(container.querySelector('#area-no-href'))).to.eql(
+        false
+      );
+      expect(isFocusable(container.querySelector('#hidden-image-area'))).to.eql(
+        false
+      );
+      expect(isFocusable(container.querySelector('#unused-map-area'))).to.eql(
+        false
+      );
+    });
+
     it('returns false for an `audio` element without a `controls` attribute', () => {
       const container = document.createElement('div');
       container.innerHTML = '<audio data-testid="testAudio"></audio>';
@@ -1,4 +1,4 @@
-import { isTabbable } from '../../src/index.js';
+import { isTabbable, explainTabbable } from '../../src/index.js';
 import {
   setupTestWindow,
   getFixtures,
@@ -585,4 +585,68 @@ describe('isTabbable', () => {
       });
     });
   });
+
+  describe('explainTabbable', () => {
+    const getReasons = (explanation) =>
+      explanation.reasons.map(({ code, element }) => [code, element.id]);
+
+    it('explains display and visibility checks', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures.basic;
+      document.body.append(container);
+
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#displaynone-textarea'))
+        )
+      ).to.eql([['not-displayed', 'displaynone-textarea']]);
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#visibilityhidden-button'))
+        )
+      ).to.eql([['visibility-hidden', 'visibilityhidden-button']]);
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#hiddenParent-button'))
+        )
+      ).to.eql([['not-displayed', 'hiddenParent-button']]);
+    });
+
+    it('explains a detached node', () => {
+      const button = document.createElement('button');
+      button.id = 'detached-button';
+
+      expect(getReasons(explainTabbable(button))).to.eql([
+        ['detached', 'detached-button'],
+      ]);
+      expect(
+        explainTabbable(button, { displayCheck: 'legacy-full' }).verdict
+      ).to.eql(true);
+      expect(
+        getReasons(explainTabbable(button, { displayCheck: 'non-zero-area' }))
+      ).to.eql([['zero-area', 'detached-button']]);
+    });
+
+    it('explains a node outside of a modal dialog', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <button id="page-button">page button</button>
+        <dialog id="dialog">
+          <button id="dialog-button">dialog button</button>
+        </dialog>
+      `;
+      document.body.append(container);
+      container.querySelector('#dialog').showModal();
+
+      const button = container.querySelector('#page-button');
+      expect(isTabbable(button)).to.eql(false);
+      expect(getReasons(explainTabbable(button))).to.eql([
+        ['outside-modal', 'dialog'],
+      ]);
+      expect(isTabbable(button, { modalCheck: false })).to.eql(true);
+      expect(isTabbable(container.querySelector('#dialog-button'))).to.eql(
+        true
+      );
+    });
+  });
 });
@@ -3,6 +3,9 @@ import {
   isFocusable,
   tabbable,
   focusable,
+  getNextTabbable,
+  getPreviousTabbable,
+  getSequentialFocusTarget,
 } from '../../src/index.js';
 import {
   setupTestWindow,
@@ -706,4 +709,90 @@ describe('web-components', () => {
       );
     });
   });
+
+  describe('getNextTabbable/getPreviousTabbable', () => {
+    it('should move between shadow and slotted light elements', () => {
+      const { container } = setupFixture(fixtures.shadowDomQuery, {
+        window,
+        caseId: 'light-shadow-with-slots',
+      });
+      const shadowRoot = container.querySelector('test-shadow').shadowRoot;
+      const shadowInput = shadowRoot.querySelector('#shadow-input');
+      const options = { container, getShadowRoot: true };
+
+      expect(getNextTabbable(shadowInput, options).id).to.eql(
+        'light-slotter-after'
+      );
+      expect(getPreviousTabbable(shadowInput, options).id).to.eql(
+        'light-slotter-before'
+      );
+
+      const slotted = container.querySelector('#light-slotter-default');
+      expect(getNextTabbable(slotted, options).id).to.eql('default-slot-input');
+    });
+
+    it('should resolve neighbors of a non-tabbable node in a shadow', () => {
+      const { container } = setupFixture(fixtures.shadowDomQuery, {
+        window,
+        caseId: 'light-shadow-with-slots',
+      });
+      const shadowRoot = container.querySelector('test-shadow').shadowRoot;
+      const wrapper = shadowRoot.querySelector('div');
+      const options = { container, getShadowRoot: true };
+
+      expect(getNextTabbable(wrapper, options).id).to.eql(
+        'light-slotter-before'
+      );
+      expect(getPreviousTabbable(wrapper, options).id).to.eql('light-before');
+    });
+  });
+
+  describe('getSequentialFocusTarget', () => {
+    it('should start from a node inside a shadow', () => {
+      const { container } = setupFixture(fixtures.shadowDomQuery, {
+        window,
+        caseId: 'shadow-input',
+      });
+      const shadowRoot = container.querySelector('test-shadow').shadowRoot;
+      const range = document.createRange();
+      range.selectNodeContents(shadowRoot.querySelector('div'));
+      const options = { container, getShadowRoot: true };
+
+      expect(getSequentialFocusTarget(range, options).id).to.eql(
+        'shadow-input'
+      );
+      expect(
+        getSequentialFocusTarget(range, { ...options, direction: 'backward' })
+          .id
+      ).to.eql('light-before');
+    });
+  });
+
+  describe('direction option', () => {
+    it('should keep one radio of unchecked groups spanning shadow roots', () => {
+      const { container } = setupFixture(fixtures.shadowDomRadio, { window });
+      const getRadioIds = (direction) =>
+        getIdsFromElementsArray(
+          tabbable(container, { getShadowRoot: true, direction })
+        ).filter((id) => id.includes('unchecked'));
+
+      expect(getRadioIds(), 'no direction').to.eql([
+        'light-unchecked1',
+        'shadow-unchecked1',
+        'shadow-unchecked2',
+        'light-unchecked2-slotted',
+        'light-unchecked3',
+      ]);
+      // the shadow group is separate from the light group, which includes the
+      //  slotted radio
+      expect(getRadioIds('forward'), 'forward').to.eql([
+        'light-unchecked1',
+        'shadow-unchecked1',
+      ]);
+      expect(getRadioIds('backward'), 'backward').to.eql([
+        'shadow-unchecked2',
+        'light-unchecked3',
+      ]);
+    });
+  });
 });
@@ -1,4 +1,9 @@
-import { tabbable } from '../../src/index.js';
+import {
+  tabbable,
+  observeTabbables,
+  auditTabOrder,
+  compareVisualOrder,
+} from '../../src/index.js';
 import {
   setupTestWindow,
   getFixtures,
@@ -297,8 +302,44 @@ describe('tabbable', () => {
       ).to.eql(expectedTabbableIdsAfterSectionIsUnhidden);
     });
 
+    it('observes tabbable elements in the "changing content" example', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures['changing-content'];
+      document.body.append(container);
+
+      const diffs = [];
+      const observer = observeTabbables(container, (diff) => diffs.push(diff));
+
+      expect(getIdsFromElementsArray(observer.getTabbables())).to.eql([
+        'visible-button-1',
+        'visible-button-2',
+        'visible-button-3',
+      ]);
+
+      container.querySelector('#initially-hidden').style.display = 'block';
+
+      cy.wrap(diffs)
+        .should('have.length', 1)
+        .then(() => {
+          expect(getIdsFromElementsArray(diffs[0].added)).to.eql([
+            'initially-hidden-button-1',
+            'initially-hidden-button-2',
+          ]);
+          expect(diffs[0].removed).to.eql([]);
+
+          observer.disconnect();
+        });
+    });
+
     it('correctly identifies tabbable elements in the "svg" example', () => {
-      const expectedTabbableIds = ['svg-btn', 'svg-1'];
+      const expectedTabbableIds = [
+        'svg-btn',
+        'svg-1',
+        'svg-link',
+        'svg-xlink',
+        'foreign-object-btn',
+        'math-tabindex',
+      ];
 
       const container = document.createElement('div');
       container.innerHTML = fixtures.svg;
@@ -335,34 +376,26 @@ describe('tabbable', () => {
       );
     });
 
-    it('correctly identifies tabbable elements in the "radio" example without the `CSS.escape` functionality', () => {
+    it('correctly identifies tabbable radios with special characters in their `name` without the `CSS.escape` functionality', () => {
       const actualEscape = CSS.escape;
       CSS.escape = undefined;
       cy.spy(console, 'error');
 
-      const expectedTabbableIds = [
-        'form1-radioA',
-        'form2-radioA',
-        'form2-radioB',
-        'form3-radioA',
-        'form3-radioB',
-        'noform-radioA',
-        'noform-groupB-radioA',
-        'noform-groupB-radioB',
-      ];
-
       const container = document.createElement('div');
       container.innerHTML = fixtures.radio;
       document.body.append(container);
 
-      const tabbableElements = tabbable(container);
-
       try {
-        expect(getIdsFromElementsArray(tabbableElements)).to.eql(
-          expectedTabbableIds
+        const tabbableElements = tabbable(container);
+
+        expect(getIdsFromElementsArray(tabbableElements)).to.include(
+          'noform-groupC-radioA'
+        );
+        expect(getIdsFromElementsArray(tabbableElements)).not.to.include(
+          'noform-groupC-radioB'
         );
         // eslint-disable-next-line no-console
-        expect(console.error).to.have.callCount(2);
+        expect(console.error).not.to.have.been.called;
       } finally {
         if (actualEscape) {
           CSS.escape = actualEscape;
@@ -389,6 +422,50 @@ describe('tabbable', () => {
       );
     });
 
+    it('correctly identifies tabbable elements in the "popover" example', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures.popover;
+      document.body.append(container);
+
+      // closed popovers aren't displayed
+      expect(getIdsFromElementsArray(tabbable(container))).to.eql([
+        'auto-invoker',
+        'manual-invoker',
+        'after-invokers',
+        'last',
+      ]);
+
+      // NOTE: clicking the invokers (rather than calling `showPopover()`) makes the nested
+      //  auto popover a child of the first one, so showing it doesn't hide the first one
+      container.querySelector('#auto-invoker').click();
+      container.querySelector('#nested-invoker').click();
+      container.querySelector('#manual-invoker').click();
+
+      // open popovers come right after their invokers
+      expect(getIdsFromElementsArray(tabbable(container))).to.eql([
+        'auto-invoker',
+        'auto-button',
+        'nested-invoker',
+        'nested-link',
+        'auto-close',
+        'manual-invoker',
+        'manual-input',
+        'after-invokers',
+        'last',
+      ]);
+    });
+
+    it('correctly identifies tabbable elements in the "image-map" example', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures['image-map'];
+      document.body.append(container);
+
+      expect(getIdsFromElementsArray(tabbable(container))).to.eql([
+        'area-1',
+        'area-2',
+      ]);
+    });
+
     it('correctly identifies tabbable elements in the "fieldset" example', () => {
       const expectedTabbableIds = [
         'free-enabled-button',
@@ -481,6 +558,68 @@ describe('tabbable', () => {
         );
       });
 
+      it('orders the children of flex and grid containers by rendered position when the `order` property is "visual"', () => {
+        const container = document.createElement('div');
+        container.innerHTML = fixtures['visual-order'];
+        document.body.append(container);
+
+        expect(
+          getIdsFromElementsArray(tabbable(container, { order: 'visual' }))
+        ).to.eql([
+          'in-order-1',
+          'in-order-2',
+          'in-order-3',
+          'row-reverse-3',
+          'row-reverse-2',
+          'row-reverse-1',
+          'css-order-1',
+          'css-order-3',
+          'css-order-2',
+          'rtl-1',
+          'rtl-2',
+          // not reading-flow containers
+          'vertical-rl-1',
+          'vertical-rl-2',
+          'absolute-1',
+          'absolute-2',
+        ]);
+      });
+
+      it('descends into same-origin iframes when the `iframes` property is "descend"', () => {
+        const container = document.createElement('div');
+        container.innerHTML = `
+          <button id="before">before</button>
+          <iframe id="same-origin" srcdoc="<button id='frame-button'>frame button</button><a id='frame-link' href='#'>frame link</a>"></iframe>
+          <iframe id="cross-origin" sandbox srcdoc="<button>cross-origin button</button>"></iframe>
+          <button id="after">after</button>
+        `;
+        const loaded = Array.from(container.querySelectorAll('iframe')).map(
+          (iframe) =>
+            new Promise((resolve) => iframe.addEventListener('load', resolve))
+        );
+        document.body.append(container);
+
+        cy.wrap(Promise.all(loaded)).then(() => {
+          expect(
+            getIdsFromElementsArray(tabbable(container, { iframes: 'descend' }))
+          ).to.eql([
+            'before',
+            'frame-button',
+            'frame-link',
+            // sandboxed without `allow-same-origin`, so it's cross-origin
+            'cross-origin',
+            'after',
+          ]);
+          expect(
+            getIdsFromElementsArray(tabbable(container, { iframes: 'element' }))
+          ).to.eql(['before', 'same-origin', 'cross-origin', 'after']);
+          expect(getIdsFromElementsArray(tabbable(container))).to.eql([
+            'before',
+            'after',
+          ]);
+        });
+      });
+
       describe('displayed check', () => {
         it('return browser visible elements by default ("full" option)', () => {
           const expectedTabbableIds = [
@@ -548,4 +687,149 @@ describe('tabbable', () => {
       });
     });
   });
+
+  describe('modal dialogs', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="page-button">page button</button>
+        <dialog id="dialog-1">
+          <button id="dialog-1-button">dialog 1 button</button>
+          <dialog id="dialog-2">
+            <input id="dialog-2-input" />
+          </dialog>
+        </dialog>
+        <dialog id="dialog-3">
+          <a id="dialog-3-link" href="#">dialog 3 link</a>
+        </dialog>
+        <a id="page-link" href="#">page link</a>
+      `;
+      document.body.append(container);
+    });
+
+    it('treats content outside the top-most modal dialog as inert', () => {
+      container.querySelector('#dialog-1').showModal();
+      expect(getIdsFromElementsArray(tabbable(document.body))).to.eql([
+        'dialog-1-button',
+      ]);
+      expect(getIdsFromElementsArray(tabbable(container))).to.eql([
+        'dialog-1-button',
+      ]);
+
+      container.querySelector('#dialog-2').showModal();
+      expect(getIdsFromElementsArray(tabbable(document.body))).to.eql([
+        'dialog-2-input',
+      ]);
+
+      container.querySelector('#dialog-2').close();
+      container.querySelector('#dialog-1').close();
+      expect(getIdsFromElementsArray(tabbable(document.body))).to.eql([
+        'page-button',
+        'page-link',
+      ]);
+    });
+
+    it('does not treat content outside a non-modal dialog as inert', () => {
+      container.querySelector('#dialog-3').show();
+      expect(getIdsFromElementsArray(tabbable(document.body))).to.eql([
+        'page-button',
+        'dialog-3-link',
+        'page-link',
+      ]);
+    });
+
+    it('ignores modal dialogs when the `modalCheck` option is false', () => {
+      container.querySelector('#dialog-1').showModal();
+      expect(
+        getIdsFromElementsArray(tabbable(document.body, { modalCheck: false }))
+      ).to.eql(['page-button', 'dialog-1-button', 'page-link']);
+    });
+  });
+
+  describe('auditTabOrder', () => {
+    it('reports zero-area tabbable elements in the "displayed" example', () => {
+      const container = document.createElement('div');
+      container.innerHTML = fixtures.displayed;
+      document.body.append(container);
+
+      const issues = auditTabOrder(container, { displayCheck: 'none' }).filter(
+        ({ code }) => code === 'zero-area'
+      );
+
+      expect(
+        getIdsFromElementsArray(issues.map(({ element }) => element))
+      ).to.eql(['displayed-zero-size']);
+      expect(issues[0].severity).to.equal('error');
+    });
+
+    it('reports scrollable regions without tabbable elements', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <div id="scrollable" style="height: 50px; overflow: auto;">
+          <p style="height: 200px;">long content</p>
+        </div>
+        <div id="scrollable-with-button" style="height: 50px; overflow: auto;">
+          <p style="height: 200px;">long content</p>
+          <button>button</button>
+        </div>
+        <div id="scrollable-tabbable" tabindex="0" style="height: 50px; overflow: auto;">
+          <p style="height: 200px;">long content</p>
+        </div>
+        <div id="not-scrollable" style="height: 50px; overflow: auto;">
+          <p>short content</p>
+        </div>
+      `;
+      document.body.append(container);
+
+      const issues = auditTabOrder(container);
+
+      expect(
+        issues.map(({ code, severity, element }) => [
+          code,
+          severity,
+          element.id,
+        ])
+      ).to.eql([['scrollable-without-tabbable', 'error', 'scrollable']]);
+    });
+  });
+
+  describe('compareVisualOrder', () => {
+    [
+      { id: 'in-order', mismatches: [], visualOrder: [1, 2, 3] },
+      {
+        id: 'row-reverse',
+        mismatches: [
+          [1, 2],
+          [2, 3],
+        ],
+        visualOrder: [3, 2, 1],
+      },
+      { id: 'css-order', mismatches: [[2, 3]], visualOrder: [1, 3, 2] },
+      { id: 'rtl', mismatches: [], visualOrder: [1, 2] },
+      { id: 'vertical-rl', mismatches: [], visualOrder: [1, 2] },
+      { id: 'absolute', mismatches: [[1, 2]], visualOrder: [2, 1] },
+    ].forEach(({ id, mismatches, visualOrder }) => {
+      it(`compares the tab order to the visual order in the "${id}" section of the "visual-order" example`, () => {
+        const container = document.createElement('div');
+        container.innerHTML = fixtures['visual-order'];
+        document.body.append(container);
+
+        const section = container.querySelector(`#${id}`);
+        const result = compareVisualOrder(tabbable(section), {
+          container: section,
+        });
+
+        expect(
+          result.mismatches.map(({ from, to }) => [from.id, to.id])
+        ).to.eql(
+          mismatches.map(([from, to]) => [`${id}-${from}`, `${id}-${to}`])
+        );
+        expect(getIdsFromElementsArray(result.visualOrder)).to.eql(
+          visualOrder.map((n) => `${id}-${n}`)
+        );
+      });
+    });
+  });
 });
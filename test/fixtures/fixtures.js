@@ -18,11 +18,25 @@ module.exports = {
   ),
   svg: fs.readFileSync(path.join(__dirname, 'svg.html'), 'utf8'),
   radio: fs.readFileSync(path.join(__dirname, 'radio.html'), 'utf8'),
+  'radio-survey': fs.readFileSync(
+    path.join(__dirname, 'radio-survey.html'),
+    'utf8'
+  ),
   details: fs.readFileSync(path.join(__dirname, 'details.html'), 'utf8'),
   'shadow-dom': fs.readFileSync(
     path.join(__dirname, 'shadow-dom.html'),
     'utf8'
   ),
+  'visual-order': fs.readFileSync(
+    path.join(__dirname, 'visual-order.html'),
+    'utf8'
+  ),
+  'spatial-navigation': fs.readFileSync(
+    path.join(__dirname, 'spatial-navigation.html'),
+    'utf8'
+  ),
+  popover: fs.readFileSync(path.join(__dirname, 'popover.html'), 'utf8'),
+  'image-map': fs.readFileSync(path.join(__dirname, 'image-map.html'), 'utf8'),
   displayed: fs.readFileSync(path.join(__dirname, 'displayed.html'), 'utf8'),
   fieldset: fs.readFileSync(path.join(__dirname, 'fieldset.html'), 'utf8'),
   shadowDomRadio: fs.readFileSync(
@@ -1,14 +1,76 @@
 const fixtures = require('../fixtures/fixtures');
-const { tabbable, focusable } = require('../../src/index.js');
+const {
+  tabbable,
+  focusable,
+  isTabbable,
+  isFocusable,
+  getNextTabbable,
+  getPreviousTabbable,
+  getSequentialFocusTarget,
+  iterateTabbable,
+  iterateFocusable,
+  firstTabbable,
+  lastTabbable,
+  observeTabbables,
+  createTabbableContext,
+  explainTabbable,
+  explainFocusable,
+  auditTabOrder,
+  compareVisualOrder,
+  findNextInDirection,
+  createRovingTabindex,
+  polyfillFocusgroup,
+  getGridModel,
+  getGridFocusTarget,
+  findNextInGrid,
+  createTypeahead,
+  createFocusScope,
+  createFocusScopeStack,
+  saveFocus,
+  restoreFocus,
+  getDeepActiveElement,
+  containsFocus,
+} = require('../../src/index.js');
 
 const getElementIds = function (elements) {
   return elements.map((el) => el.id);
 };
 
+// dispatches a `keydown` event from the focused node, even if it's in a shadow root
+const pressKey = function (key, init) {
+  const event = new KeyboardEvent('keydown', {
+    key,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    ...init,
+  });
+  getDeepActiveElement().dispatchEvent(event);
+  return event;
+};
+
 const expectElementsInOrder = function (receivedIds, expectedIds) {
   expect(receivedIds).toStrictEqual(expectedIds);
 };
 
+// NOTE: JSDom has no layout, so each node gets its box from its `data-rect` attribute,
+//  as "left,top,width,height"
+const setupRects = function (container) {
+  const elements = [...container.querySelectorAll('[data-rect]')];
+  elements.forEach((el) => {
+    const [left, top, width, height] = el.dataset.rect.split(',').map(Number);
+    el.getBoundingClientRect = () => ({
+      left,
+      top,
+      width,
+      height,
+      right: left + width,
+      bottom: top + height,
+    });
+  });
+  return elements;
+};
+
 describe('unit tests', () => {
   let options;
 
@@ -77,6 +139,107 @@ describe('unit tests', () => {
         expectElementsInOrder(getElementIds(elements), []);
       });
     });
+
+    describe('order option', () => {
+      let container;
+
+      beforeEach(() => {
+        container = document.createElement('div');
+        document.body.append(container);
+      });
+
+      afterEach(() => {
+        container.remove();
+      });
+
+      it('orders by document order when "dom"', () => {
+        container.innerHTML = `
+          <button id="a">a</button>
+          <button id="b" tabindex="1">b</button>
+          <button id="c">c</button>
+        `;
+
+        expectElementsInOrder(
+          getElementIds(tabbable(container, { ...options, order: 'dom' })),
+          ['a', 'b', 'c']
+        );
+        expectElementsInOrder(
+          getElementIds(tabbable(container, { ...options, order: 'tab' })),
+          ['b', 'a', 'c']
+        );
+      });
+
+      it('iterates in the same order', () => {
+        container.innerHTML = `
+          <button id="a">a</button>
+          <button id="b" tabindex="1">b</button>
+          <button id="c">c</button>
+        `;
+        const domOptions = { ...options, order: 'dom' };
+
+        expect(
+          getElementIds(Array.from(iterateTabbable(container, domOptions)))
+        ).toEqual(['a', 'b', 'c']);
+        expect(
+          getElementIds(
+            Array.from(
+              iterateTabbable(container, { ...domOptions, reverse: true })
+            )
+          )
+        ).toEqual(['c', 'b', 'a']);
+        expect(firstTabbable(container, domOptions).id).toBe('a');
+        expect(lastTabbable(container, domOptions).id).toBe('c');
+      });
+
+      it('orders the children of flex and grid containers by rendered position when "visual"', () => {
+        container.innerHTML = `
+          <button id="before">before</button>
+          <div style="display: flex;">
+            <div data-rect="120,0,50,20"><button id="flex-a">a</button></div>
+            <button id="flex-b" data-rect="60,5,50,10">b</button>
+            <button id="flex-c" data-rect="0,0,50,20">c</button>
+            <button id="flex-d" data-rect="0,30,50,20">d</button>
+          </div>
+          <div style="display: grid;">
+            <button id="grid-a" data-rect="0,30,50,20">a</button>
+            <button id="grid-b" data-rect="0,0,50,20">b</button>
+          </div>
+          <div style="display: block;">
+            <button id="block-a" data-rect="0,30,50,20">a</button>
+            <button id="block-b" data-rect="0,0,50,20">b</button>
+          </div>
+          <button id="positive" tabindex="1">positive</button>
+        `;
+        setupRects(container);
+
+        expectElementsInOrder(
+          getElementIds(tabbable(container, { ...options, order: 'visual' })),
+          [
+            'positive',
+            'before',
+            'flex-c',
+            'flex-b',
+            'flex-a',
+            'flex-d',
+            'grid-b',
+            'grid-a',
+            'block-a',
+            'block-b',
+          ]
+        );
+        expect(
+          Array.from(
+            iterateTabbable(container, { ...options, order: 'visual' })
+          )
+        ).toEqual(tabbable(container, { ...options, order: 'visual' }));
+      });
+
+      it('throws with an invalid order', () => {
+        expect(() => tabbable(container, { order: 'foo' })).toThrow(
+          'Invalid order "foo"'
+        );
+      });
+    });
   });
 
   describe('focusable', () => {
@@ -141,4 +304,2854 @@ describe('unit tests', () => {
       });
     });
   });
+
+  describe('getNextTabbable/getPreviousTabbable', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = fixtures['non-linear'];
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('gets the neighbors of a tabbable node in tab order', () => {
+      const button = container.querySelector('#button-2');
+      const opts = { ...options, container };
+
+      expect(getNextTabbable(button, opts).id).toBe('select-3');
+      expect(getPreviousTabbable(button, opts).id).toBe('href-anchor-1');
+    });
+
+    it('crosses from positive to zero tabindex nodes', () => {
+      const opts = { ...options, container };
+
+      expect(
+        getNextTabbable(container.querySelector('#textarea-12'), opts).id
+      ).toBe('input');
+      expect(
+        getPreviousTabbable(container.querySelector('#input'), opts).id
+      ).toBe('textarea-12');
+    });
+
+    it('returns null at either end unless wrapping', () => {
+      const first = container.querySelector('#input-1');
+      const last = container.querySelector('#tabindex-div-0');
+      const opts = { ...options, container };
+
+      expect(getPreviousTabbable(first, opts)).toBeNull();
+      expect(getNextTabbable(last, opts)).toBeNull();
+
+      opts.wrap = true;
+      expect(getPreviousTabbable(first, opts)).toBe(last);
+      expect(getNextTabbable(last, opts)).toBe(first);
+    });
+
+    it('resolves neighbors for a node that is not tabbable', () => {
+      container.innerHTML = `
+        <button id="first">1</button>
+        <div id="clicked">clicked</div>
+        <button id="negative" tabindex="-1">-1</button>
+        <button id="second">2</button>
+        <button id="positive" tabindex="1">positive</button>
+      `;
+      const opts = { ...options, container };
+      const clicked = container.querySelector('#clicked');
+      const negative = container.querySelector('#negative');
+
+      expect(getNextTabbable(clicked, opts).id).toBe('second');
+      expect(getPreviousTabbable(clicked, opts).id).toBe('first');
+      expect(getNextTabbable(negative, opts).id).toBe('second');
+      expect(getPreviousTabbable(negative, opts).id).toBe('first');
+
+      // the positive tabindex node comes before all others in tab order
+      expect(
+        getPreviousTabbable(container.querySelector('#first'), opts).id
+      ).toBe('positive');
+    });
+
+    it('starts from the tabbable node containing the given node', () => {
+      container.innerHTML = `
+        <button id="first">1</button>
+        <button id="second"><span id="label">2</span></button>
+        <button id="third">3</button>
+      `;
+      const label = container.querySelector('#label');
+      const opts = { ...options, container };
+
+      expect(getNextTabbable(label, opts).id).toBe('third');
+      expect(getPreviousTabbable(label, opts).id).toBe('first');
+    });
+
+    it('resolves neighbors of a node inside a shadow root', () => {
+      container.innerHTML = `
+        <button id="before">before</button>
+        <div id="host"></div>
+        <button id="after">after</button>
+      `;
+      const host = container.querySelector('#host');
+      host.attachShadow({ mode: 'open' }).innerHTML = `
+        <input id="shadow-input" />
+        <span id="shadow-span">text</span>
+      `;
+      const span = host.shadowRoot.querySelector('#shadow-span');
+      const opts = { ...options, container, getShadowRoot: true };
+
+      expect(getNextTabbable(span, opts).id).toBe('after');
+      expect(getPreviousTabbable(span, opts).id).toBe('shadow-input');
+    });
+
+    it('throws with no input node', () => {
+      expect(() => getNextTabbable()).toThrow();
+      expect(() => getPreviousTabbable()).toThrow();
+    });
+  });
+
+  describe('getSequentialFocusTarget', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="first">1</button>
+        <p id="text">some text</p>
+        <div id="inert" inert><button id="inert-button">inert</button></div>
+        <details id="details">
+          <summary id="summary">summary</summary>
+          <p id="details-content">content</p>
+        </details>
+        <button id="last">2</button>
+      `;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('starts from the container with no starting point', () => {
+      const opts = { ...options, container };
+
+      expect(getSequentialFocusTarget(null, opts).id).toBe('first');
+      expect(
+        getSequentialFocusTarget(null, { ...opts, direction: 'backward' }).id
+      ).toBe('last');
+    });
+
+    it('starts from a clicked node', () => {
+      const text = container.querySelector('#text');
+      const opts = { ...options, container };
+
+      expect(getSequentialFocusTarget(text, opts).id).toBe('summary');
+      expect(
+        getSequentialFocusTarget(text, { ...opts, direction: 'backward' }).id
+      ).toBe('first');
+    });
+
+    it('starts from a range', () => {
+      const range = document.createRange();
+      range.setStart(container.querySelector('#text').firstChild, 4);
+      const opts = { ...options, container };
+
+      expect(getSequentialFocusTarget(range, opts).id).toBe('summary');
+      expect(
+        getSequentialFocusTarget(range, { ...opts, direction: 'backward' }).id
+      ).toBe('first');
+    });
+
+    it('starts from inside an inert subtree', () => {
+      const inertButton = container.querySelector('#inert-button');
+      const opts = { ...options, container };
+
+      expect(getSequentialFocusTarget(inertButton, opts).id).toBe('summary');
+      expect(
+        getSequentialFocusTarget(inertButton, {
+          ...opts,
+          direction: 'backward',
+        }).id
+      ).toBe('first');
+    });
+
+    it('starts from inside a closed details element', () => {
+      const content = container.querySelector('#details-content');
+      const opts = { ...options, container };
+
+      expect(getSequentialFocusTarget(content, opts).id).toBe('last');
+      expect(
+        getSequentialFocusTarget(content, { ...opts, direction: 'backward' }).id
+      ).toBe('summary');
+    });
+
+    it('starts from the container when the starting point is detached', () => {
+      const detached = document.createElement('button');
+      const opts = { ...options, container };
+
+      expect(getSequentialFocusTarget(detached, opts).id).toBe('first');
+    });
+
+    it('throws with an invalid direction', () => {
+      expect(() =>
+        getSequentialFocusTarget(null, { ...options, direction: 'up' })
+      ).toThrow('Invalid direction "up"');
+    });
+  });
+
+  describe('iterateTabbable/iterateFocusable', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    ['basic', 'non-linear', 'nested', 'radio', 'details', 'fieldset'].forEach(
+      (fixtureName) => {
+        it(`yields the same nodes as tabbable/focusable in the "${fixtureName}" example`, () => {
+          container.innerHTML = fixtures[fixtureName];
+
+          const tabbables = tabbable(container, options);
+          expect(Array.from(iterateTabbable(container, options))).toEqual(
+            tabbables
+          );
+          expect(
+            Array.from(
+              iterateTabbable(container, { ...options, reverse: true })
+            )
+          ).toEqual(tabbables.reverse());
+
+          const focusables = focusable(container, options);
+          expect(Array.from(iterateFocusable(container, options))).toEqual(
+            focusables
+          );
+          expect(
+            Array.from(
+              iterateFocusable(container, { ...options, reverse: true })
+            )
+          ).toEqual(focusables.reverse());
+        });
+      }
+    );
+
+    it('yields the same nodes as tabbable in a shadow DOM', () => {
+      container.innerHTML = `
+        <button id="light-before">before</button>
+        <div id="host"></div>
+        <button id="light-after" tabindex="1">after</button>
+      `;
+      container
+        .querySelector('#host')
+        .attachShadow({ mode: 'open' }).innerHTML = `
+        <input id="shadow-input" />
+        <input id="shadow-input-positive" tabindex="2" />
+      `;
+      const opts = { ...options, getShadowRoot: true };
+
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, opts)))
+      ).toEqual(getElementIds(tabbable(container, opts)));
+    });
+
+    it('only checks nodes until the first one is found', () => {
+      container.innerHTML = fixtures.basic;
+      const spy = jest.spyOn(window, 'getComputedStyle');
+
+      const first = firstTabbable(container, options);
+      expect(first.id).toBe('tabindex-hrefless-anchor');
+      const firstCallCount = spy.mock.calls.length;
+
+      tabbable(container, options);
+      expect(firstCallCount).toBeLessThan(
+        spy.mock.calls.length - firstCallCount
+      );
+
+      spy.mockRestore();
+    });
+
+    it('gets the first and last tabbable nodes', () => {
+      container.innerHTML = fixtures['non-linear'];
+
+      expect(firstTabbable(container, options).id).toBe('input-1');
+      expect(lastTabbable(container, options).id).toBe('tabindex-div-0');
+
+      container.innerHTML = '<div>nothing to see here</div>';
+      expect(firstTabbable(container, options)).toBeNull();
+      expect(lastTabbable(container, options)).toBeNull();
+    });
+  });
+
+  describe('observeTabbables', () => {
+    let container, observer, callback;
+
+    const waitForMutations = () =>
+      new Promise((resolve) => setTimeout(resolve));
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="first">1</button>
+        <button id="second">2</button>
+        <input type="radio" name="group" id="radio-a" />
+        <input type="radio" name="group" id="radio-b" />
+      `;
+      document.body.append(container);
+      callback = jest.fn();
+    });
+
+    afterEach(() => {
+      observer.disconnect();
+      container.remove();
+    });
+
+    it('reports added and removed nodes', async () => {
+      observer = observeTabbables(container, callback, options);
+      expect(getElementIds(observer.getTabbables())).toEqual([
+        'first',
+        'second',
+        'radio-a',
+        'radio-b',
+      ]);
+
+      const third = document.createElement('button');
+      third.id = 'third';
+      container.append(third);
+      container.querySelector('#first').disabled = true;
+      await waitForMutations();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      const diff = callback.mock.calls[0][0];
+      expect(getElementIds(diff.added)).toEqual(['third']);
+      expect(getElementIds(diff.removed)).toEqual(['first']);
+      expect(diff.reordered).toBe(false);
+      expect(getElementIds(diff.tabbables)).toEqual([
+        'second',
+        'radio-a',
+        'radio-b',
+        'third',
+      ]);
+      expect(observer.getTabbables()).toBe(diff.tabbables);
+    });
+
+    it('reports reordered nodes', async () => {
+      observer = observeTabbables(container, callback, options);
+
+      container.querySelector('#second').setAttribute('tabindex', '1');
+      await waitForMutations();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      const diff = callback.mock.calls[0][0];
+      expect(diff.added).toEqual([]);
+      expect(diff.removed).toEqual([]);
+      expect(diff.reordered).toBe(true);
+      expect(getElementIds(diff.tabbables)).toEqual([
+        'second',
+        'first',
+        'radio-a',
+        'radio-b',
+      ]);
+    });
+
+    it('reports radio groups being checked', async () => {
+      observer = observeTabbables(container, callback, options);
+
+      const radio = container.querySelector('#radio-b');
+      radio.checked = true;
+      radio.dispatchEvent(new Event('change', { bubbles: true }));
+      await waitForMutations();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(getElementIds(callback.mock.calls[0][0].removed)).toEqual([
+        'radio-a',
+      ]);
+    });
+
+    it('does not report changes that do not affect tabbable nodes', async () => {
+      observer = observeTabbables(container, callback, options);
+
+      container.querySelector('#first').setAttribute('title', 'first');
+      container.append(document.createElement('p'));
+      await waitForMutations();
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('observes changes inside shadow roots', async () => {
+      const host = document.createElement('div');
+      host.attachShadow({ mode: 'open' }).innerHTML =
+        '<button id="shadow-button">shadow</button>';
+      container.append(host);
+      observer = observeTabbables(container, callback, {
+        ...options,
+        getShadowRoot: true,
+      });
+
+      host.shadowRoot
+        .querySelector('#shadow-button')
+        .setAttribute('tabindex', '-1');
+      await waitForMutations();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(getElementIds(callback.mock.calls[0][0].removed)).toEqual([
+        'shadow-button',
+      ]);
+    });
+
+    it('stops observing once disconnected', async () => {
+      observer = observeTabbables(container, callback, options);
+      observer.disconnect();
+
+      container.querySelector('#first').remove();
+      await waitForMutations();
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('does not resume observing when updated once disconnected', async () => {
+      observer = observeTabbables(container, callback, options);
+      observer.disconnect();
+      container.querySelector('#first').remove();
+      observer.update();
+
+      container.querySelector('#second').remove();
+      await waitForMutations();
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createTabbableContext', () => {
+    let container, context;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = fixtures.fieldset;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      context.disconnect();
+      container.remove();
+    });
+
+    it('returns the same results as the APIs it wraps', () => {
+      context = createTabbableContext(options);
+
+      expect(context.tabbable(container)).toEqual(tabbable(container, options));
+      expect(context.focusable(container)).toEqual(
+        focusable(container, options)
+      );
+      // still the same results when cached
+      expect(context.tabbable(container)).toEqual(tabbable(container, options));
+    });
+
+    it('caches ancestor checks for the duration of a call without a context', () => {
+      container.innerHTML = `
+        <div id="parent">
+          <button id="button-1">1</button>
+          <button id="button-2">2</button>
+        </div>
+      `;
+      const parent = container.querySelector('#parent');
+      const spy = jest.spyOn(parent, 'getAttribute');
+
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'button-1',
+        'button-2',
+      ]);
+      expect(spy.mock.calls.filter(([name]) => name === 'inert').length).toBe(
+        1
+      );
+    });
+
+    it('caches results until invalidated', () => {
+      container.innerHTML = `
+        <div id="parent">
+          <button id="button">button</button>
+        </div>
+      `;
+      const button = container.querySelector('#button');
+      context = createTabbableContext(options);
+
+      expect(context.isTabbable(button)).toBe(true);
+
+      container.querySelector('#parent').setAttribute('inert', '');
+      expect(context.isTabbable(button)).toBe(true); // stale
+
+      context.invalidate();
+      expect(context.isTabbable(button)).toBe(false);
+    });
+
+    it('merges call options with context options', () => {
+      container.innerHTML = '<button id="button">button</button>';
+      container.id = 'container';
+      container.setAttribute('tabindex', '0');
+      context = createTabbableContext({ ...options, includeContainer: true });
+
+      expect(getElementIds(context.tabbable(container))).toEqual([
+        'container',
+        'button',
+      ]);
+      // call options take precedence, while context options (i.e. `displayCheck`)
+      //  still apply
+      expect(
+        getElementIds(context.tabbable(container, { includeContainer: false }))
+      ).toEqual(['button']);
+    });
+
+    it('invalidates automatically when the DOM changes', async () => {
+      container.innerHTML = `
+        <div id="parent">
+          <button id="button">button</button>
+        </div>
+      `;
+      const button = container.querySelector('#button');
+      context = createTabbableContext({ ...options, autoInvalidate: true });
+
+      expect(context.isFocusable(button)).toBe(true);
+
+      container.querySelector('#parent').setAttribute('inert', '');
+      await new Promise((resolve) => setTimeout(resolve));
+
+      expect(context.isFocusable(button)).toBe(false);
+    });
+  });
+
+  describe('radio groups', () => {
+    let container;
+
+    const getRadioIds = (prefix, question, values = [1, 2, 3, 4, 5]) =>
+      values.map((value) => `${prefix}-q${question}-${value}`);
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('correctly identifies tabbable radios in the "radio" example', () => {
+      container.innerHTML = fixtures.radio;
+
+      expectElementsInOrder(getElementIds(tabbable(container, options)), [
+        'form1-radioA',
+        'form2-radioA',
+        'form2-radioB',
+        'form3-radioA',
+        'form3-radioB',
+        'noform-radioA',
+        'noform-groupB-radioA',
+        'noform-groupB-radioB',
+        'noform-groupC-radioA',
+      ]);
+    });
+
+    it('correctly identifies tabbable radios in the "radio-survey" example', () => {
+      container.innerHTML = fixtures['radio-survey'];
+
+      expectElementsInOrder(getElementIds(tabbable(container, options)), [
+        ...getRadioIds('form', 1),
+        ...getRadioIds('form', 2, [3]),
+        ...getRadioIds('form', 3),
+        ...getRadioIds('form', 4),
+        ...getRadioIds('form', 5, [1]),
+        ...getRadioIds('form', 6),
+        ...getRadioIds('noform', 1, [5]),
+        ...getRadioIds('noform', 2),
+        ...getRadioIds('noform', 3),
+        ...getRadioIds('noform', 4),
+      ]);
+    });
+
+    it('only queries each form or root node once for radios', () => {
+      const copies = 20;
+      for (let i = 0; i < copies; i++) {
+        container.insertAdjacentHTML('beforeend', fixtures['radio-survey']);
+      }
+
+      const countRadioQueries = (fn) => {
+        const elementSpy = jest.spyOn(Element.prototype, 'querySelectorAll');
+        const documentSpy = jest.spyOn(Document.prototype, 'querySelectorAll');
+        fn();
+        const count = [...elementSpy.mock.calls, ...documentSpy.mock.calls]
+          .map(([selector]) => selector)
+          .filter((selector) =>
+            selector.startsWith('input[type="radio"]')
+          ).length;
+        elementSpy.mockRestore();
+        documentSpy.mockRestore();
+        return count;
+      };
+
+      const radios = container.querySelectorAll('input[type="radio"]');
+
+      // NOTE: query counts are what matter here, rather than timings, which vary too
+      //  much and are dominated by other checks in JSDom
+      // one query per form, plus one for the document
+      expect(countRadioQueries(() => tabbable(container, options))).toBe(
+        copies + 1
+      );
+      // one query per radio when checked individually
+      expect(
+        countRadioQueries(() =>
+          radios.forEach((radio) => isTabbable(radio, options))
+        )
+      ).toBe(radios.length);
+    });
+
+    describe('direction option', () => {
+      beforeEach(() => {
+        container.innerHTML = fixtures.radio;
+      });
+
+      it('only includes the first radio of unchecked groups going forward', () => {
+        expectElementsInOrder(
+          getElementIds(
+            tabbable(container, { ...options, direction: 'forward' })
+          ),
+          [
+            'form1-radioA',
+            'form2-radioA',
+            'form3-radioA',
+            'noform-radioA',
+            'noform-groupB-radioA',
+            'noform-groupC-radioA',
+          ]
+        );
+      });
+
+      it('only includes the last radio of unchecked groups going backward', () => {
+        expectElementsInOrder(
+          getElementIds(
+            tabbable(container, { ...options, direction: 'backward' })
+          ),
+          [
+            'form1-radioA',
+            'form2-radioB',
+            'form3-radioB',
+            'noform-radioA',
+            'noform-groupB-radioB',
+            'noform-groupC-radioA',
+          ]
+        );
+      });
+
+      it('applies to lazy iteration in either order', () => {
+        ['forward', 'backward'].forEach((direction) => {
+          const tabbables = tabbable(container, { ...options, direction });
+
+          expect(
+            Array.from(iterateTabbable(container, { ...options, direction }))
+          ).toEqual(tabbables);
+          expect(
+            Array.from(
+              iterateTabbable(container, {
+                ...options,
+                direction,
+                reverse: true,
+              })
+            )
+          ).toEqual(tabbables.slice().reverse());
+        });
+      });
+
+      it('enters unchecked groups at either end when navigating', () => {
+        const opts = { ...options, container };
+        const form2RadioA = container.querySelector('#form2-radioA');
+        const form2RadioB = container.querySelector('#form2-radioB');
+
+        expect(getNextTabbable(form2RadioA, opts).id).toBe('form3-radioA');
+        expect(getNextTabbable(form2RadioB, opts).id).toBe('form3-radioA');
+        expect(getPreviousTabbable(form2RadioA, opts).id).toBe('form1-radioA');
+        expect(
+          getPreviousTabbable(container.querySelector('#form3-radioA'), opts).id
+        ).toBe('form2-radioB');
+      });
+
+      it('throws with an invalid direction', () => {
+        const invalidOptions = { ...options, direction: 'backwards' };
+        expect(() => tabbable(container, invalidOptions)).toThrow(
+          'Invalid direction "backwards"'
+        );
+        expect(() => iterateTabbable(container, invalidOptions)).toThrow(
+          'Invalid direction "backwards"'
+        );
+        expect(() =>
+          getSequentialFocusTarget(null, { ...invalidOptions, container })
+        ).toThrow('Invalid direction "backwards"');
+      });
+    });
+  });
+
+  describe('explainTabbable/explainFocusable', () => {
+    let container;
+
+    const getReasons = (explanation) =>
+      explanation.reasons.map(({ code, element }) => [code, element.id]);
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="button">button</button>
+        <div id="div">div</div>
+        <div id="inert" inert>
+          <button id="inert-button" tabindex="-1" disabled>inert</button>
+        </div>
+        <details id="details">
+          <summary id="summary">summary</summary>
+          <button id="details-button">details</button>
+        </details>
+        <fieldset id="fieldset" disabled>
+          <input id="fieldset-input" />
+        </fieldset>
+        <input type="hidden" id="hidden-input" />
+        <input type="radio" name="group" id="radio-a" />
+        <input type="radio" name="group" id="radio-b" checked />
+      `;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('explains a tabbable node', () => {
+      const button = container.querySelector('#button');
+
+      expect(explainTabbable(button, options)).toEqual({
+        verdict: true,
+        reasons: [],
+      });
+      expect(explainFocusable(button, options)).toEqual({
+        verdict: true,
+        reasons: [],
+      });
+    });
+
+    it('explains a node that is not a candidate', () => {
+      const div = container.querySelector('#div');
+
+      expect(getReasons(explainTabbable(div, options))).toEqual([
+        ['not-candidate', 'div'],
+      ]);
+      expect(explainFocusable(div, options).verdict).toBe(false);
+    });
+
+    it('lists all reasons in order, with the offending ancestor', () => {
+      const button = container.querySelector('#inert-button');
+
+      expect(getReasons(explainTabbable(button, options))).toEqual([
+        ['negative-tabindex', 'inert-button'],
+        ['disabled', 'inert-button'],
+        ['inert', 'inert'],
+      ]);
+      expect(getReasons(explainFocusable(button, options))).toEqual([
+        ['disabled', 'inert-button'],
+        ['inert', 'inert'],
+      ]);
+    });
+
+    it('identifies the closed details, disabled fieldset and checked radio', () => {
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#details-button'), options)
+        )
+      ).toEqual([['closed-details', 'details']]);
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#fieldset-input'), options)
+        )
+      ).toEqual([['disabled-fieldset', 'fieldset']]);
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#radio-a'), options)
+        )
+      ).toEqual([['non-tabbable-radio', 'radio-b']]);
+      expect(
+        explainFocusable(container.querySelector('#radio-a'), options).verdict
+      ).toBe(true);
+      expect(
+        getReasons(
+          explainTabbable(container.querySelector('#hidden-input'), options)
+        )
+      ).toEqual([['hidden-input', 'hidden-input']]);
+    });
+
+    it('agrees with isTabbable and isFocusable', () => {
+      container.innerHTML = fixtures.basic;
+      container.querySelectorAll('*').forEach((node) => {
+        expect(explainTabbable(node, options).verdict).toBe(
+          isTabbable(node, options)
+        );
+        expect(explainFocusable(node, options).verdict).toBe(
+          isFocusable(node, options)
+        );
+      });
+    });
+
+    it('throws with no input node', () => {
+      expect(() => explainTabbable()).toThrow();
+      expect(() => explainFocusable()).toThrow();
+    });
+  });
+
+  describe('auditTabOrder', () => {
+    let container;
+
+    // NOTE: JSDom has no layout, so every node would have a zero area
+    const getIssues = (issues) =>
+      issues
+        .filter(({ code }) => code !== 'zero-area')
+        .map(({ code, severity, element, relatedElement }) => [
+          code,
+          severity,
+          element.id,
+          relatedElement?.id,
+        ]);
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('reports no issues in a well-behaved container', () => {
+      container.innerHTML = `
+        <button id="button">button</button>
+        <input type="radio" name="group" id="radio-a" checked />
+        <input type="radio" name="group" id="radio-b" />
+        <div id="focus-target" tabindex="-1">focus target</div>
+      `;
+
+      expect(getIssues(auditTabOrder(container, options))).toEqual([]);
+    });
+
+    it('reports issues', () => {
+      container.innerHTML = `
+        <button id="positive" tabindex="2">positive</button>
+        <button id="negative" tabindex="-1">negative</button>
+        <div role="button" id="negative-role" tabindex="-1">negative</div>
+        <div id="hidden" aria-hidden="true">
+          <a id="hidden-link" href="#">link</a>
+        </div>
+        <a id="link" href="#"><button id="nested">nested</button></a>
+      `;
+
+      expect(getIssues(auditTabOrder(container, options))).toEqual([
+        ['positive-tabindex', 'warning', 'positive', undefined],
+        ['interactive-not-tabbable', 'warning', 'negative', undefined],
+        ['interactive-not-tabbable', 'warning', 'negative-role', undefined],
+        ['aria-hidden', 'error', 'hidden-link', 'hidden'],
+        ['nested-interactive', 'error', 'nested', 'link'],
+      ]);
+    });
+
+    it('does not report items of a composite widget with a tab stop', () => {
+      container.innerHTML = `
+        <div role="tablist" id="tablist">
+          <button role="tab" id="t1">1</button>
+          <button role="tab" id="t2">2</button>
+          <button role="tab" id="t3">3</button>
+        </div>
+        <div role="toolbar" id="toolbar">
+          <button id="tool-1" tabindex="-1">1</button>
+          <button id="tool-2" tabindex="-1">2</button>
+        </div>
+      `;
+      const roving = createRovingTabindex(
+        container.querySelector('#tablist'),
+        options
+      );
+
+      // a toolbar with no tab stop can't be reached at all
+      expect(getIssues(auditTabOrder(container, options))).toEqual([
+        ['interactive-not-tabbable', 'warning', 'tool-1', undefined],
+        ['interactive-not-tabbable', 'warning', 'tool-2', undefined],
+      ]);
+
+      roving.destroy();
+    });
+
+    it('throws with no container', () => {
+      expect(() => auditTabOrder()).toThrow();
+    });
+  });
+
+  describe('compareVisualOrder', () => {
+    const getIds = ({ mismatches, visualOrder }) => ({
+      mismatches: mismatches.map(({ from, to }) => [from.id, to.id]),
+      visualOrder: visualOrder.map(({ id }) => id),
+    });
+
+    it('reports no mismatches when in reading order', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <button id="a" data-rect="0,0,50,20"></button>
+        <button id="b" data-rect="60,2,50,20"></button>
+        <button id="c" data-rect="0,30,50,20"></button>
+      `;
+
+      expect(getIds(compareVisualOrder(setupRects(container)))).toEqual({
+        mismatches: [],
+        visualOrder: ['a', 'b', 'c'],
+      });
+    });
+
+    it('reports nodes that regress in reading order', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <button id="a" data-rect="120,0,50,20"></button>
+        <button id="b" data-rect="60,0,50,20"></button>
+        <button id="c" data-rect="0,0,50,20"></button>
+        <button id="d" data-rect="0,30,50,20"></button>
+        <button id="hidden" data-rect="0,0,0,0"></button>
+      `;
+
+      expect(getIds(compareVisualOrder(setupRects(container)))).toEqual({
+        mismatches: [
+          ['a', 'b'],
+          ['b', 'c'],
+        ],
+        visualOrder: ['c', 'b', 'a', 'd'],
+      });
+    });
+
+    it('ignores regressions within the threshold', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <button id="a" data-rect="10,0,50,20"></button>
+        <button id="b" data-rect="0,30,50,20"></button>
+        <button id="c" data-rect="0,25,50,20"></button>
+      `;
+      const elements = setupRects(container);
+
+      expect(getIds(compareVisualOrder(elements))).toEqual({
+        mismatches: [],
+        visualOrder: ['a', 'b', 'c'],
+      });
+      expect(getIds(compareVisualOrder(elements, { threshold: 2 }))).toEqual({
+        mismatches: [['b', 'c']],
+        visualOrder: ['a', 'c', 'b'],
+      });
+    });
+
+    it('supports RTL', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <button id="a" data-rect="0,0,50,20"></button>
+        <button id="b" data-rect="60,0,50,20"></button>
+      `;
+
+      expect(
+        getIds(compareVisualOrder(setupRects(container), { dir: 'rtl' }))
+      ).toEqual({
+        mismatches: [['a', 'b']],
+        visualOrder: ['b', 'a'],
+      });
+    });
+
+    it('supports vertical writing modes', () => {
+      const container = document.createElement('div');
+      container.innerHTML = `
+        <button id="a" data-rect="0,0,20,50"></button>
+        <button id="b" data-rect="0,60,20,50"></button>
+        <button id="c" data-rect="30,0,20,50"></button>
+      `;
+      const elements = setupRects(container);
+
+      expect(
+        getIds(compareVisualOrder(elements, { writingMode: 'vertical-lr' }))
+      ).toEqual({
+        mismatches: [],
+        visualOrder: ['a', 'b', 'c'],
+      });
+      expect(
+        getIds(compareVisualOrder(elements, { writingMode: 'vertical-rl' }))
+      ).toEqual({
+        mismatches: [['b', 'c']],
+        visualOrder: ['c', 'a', 'b'],
+      });
+    });
+
+    it('reads the direction from the shadow host of nodes in a shadow root', () => {
+      const host = document.createElement('div');
+      host.style.direction = 'rtl';
+      host.attachShadow({ mode: 'open' }).innerHTML = `
+        <button id="a" data-rect="0,0,50,20"></button>
+        <button id="b" data-rect="60,0,50,20"></button>
+      `;
+      document.body.append(host);
+
+      expect(getIds(compareVisualOrder(setupRects(host.shadowRoot)))).toEqual({
+        mismatches: [['a', 'b']],
+        visualOrder: ['b', 'a'],
+      });
+
+      host.remove();
+    });
+
+    it('throws with no elements', () => {
+      expect(() => compareVisualOrder()).toThrow();
+    });
+  });
+
+  describe('findNextInDirection', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const findId = (fromId, dir) =>
+      findNextInDirection(container.querySelector(`#${fromId}`), dir, {
+        ...options,
+        container,
+      })?.id;
+
+    it('finds the closest node in each direction', () => {
+      container.innerHTML = `
+        <button id="a" data-rect="0,0,50,20">a</button>
+        <button id="b" data-rect="60,0,50,20">b</button>
+        <button id="c" data-rect="120,0,50,20">c</button>
+        <button id="d" data-rect="0,30,50,20">d</button>
+        <button id="e" data-rect="60,30,50,20">e</button>
+        <button id="f" data-rect="120,30,50,20">f</button>
+        <button id="g" data-rect="0,60,50,20">g</button>
+        <button id="h" data-rect="60,60,50,20">h</button>
+        <button id="i" data-rect="120,60,50,20">i</button>
+      `;
+      setupRects(container);
+
+      expect(findId('e', 'up')).toBe('b');
+      expect(findId('e', 'down')).toBe('h');
+      expect(findId('e', 'left')).toBe('d');
+      expect(findId('e', 'right')).toBe('f');
+      expect(findId('a', 'up')).toBeUndefined();
+      expect(findId('a', 'left')).toBeUndefined();
+      expect(findId('i', 'down')).toBeUndefined();
+      expect(findId('i', 'right')).toBeUndefined();
+    });
+
+    it('prefers aligned nodes', () => {
+      container.innerHTML = `
+        <button id="from" data-rect="0,0,50,20">from</button>
+        <button id="near-misaligned" data-rect="60,40,50,20">near</button>
+        <button id="far-aligned" data-rect="200,0,50,20">far</button>
+      `;
+      setupRects(container);
+
+      expect(findId('from', 'right')).toBe('far-aligned');
+      expect(findId('from', 'down')).toBe('near-misaligned');
+    });
+
+    it('searches the closest scroll container first', () => {
+      // NOTE: JSDom doesn't compute the `overflow-x` and `overflow-y` properties from
+      //  the `overflow` shorthand
+      container.innerHTML = `
+        <button id="left" data-rect="0,0,50,20">left</button>
+        <div style="overflow-x: auto; overflow-y: auto;" data-rect="100,0,100,100">
+          <button id="inner-a" data-rect="110,10,50,20">inner a</button>
+          <button id="inner-b" data-rect="110,300,50,20">inner b</button>
+        </div>
+        <button id="below" data-rect="110,120,50,20">below</button>
+      `;
+      setupRects(container);
+
+      // scrolled out of view, but in the same scroll container
+      expect(findId('inner-a', 'down')).toBe('inner-b');
+      // nothing above, in the same scroll container
+      expect(findId('inner-a', 'left')).toBe('left');
+      // clipped by another scroll container
+      expect(findId('below', 'up')).toBe('inner-a');
+    });
+
+    it('throws with no node or an invalid direction', () => {
+      container.innerHTML = '<button id="button">button</button>';
+
+      expect(() => findNextInDirection()).toThrow('No node provided');
+      expect(() => findId('button', 'forward')).toThrow(
+        'Invalid direction "forward"'
+      );
+    });
+  });
+
+  describe('createRovingTabindex', () => {
+    let container, roving;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="cut" disabled>Cut</button>
+        <button id="copy">Copy</button>
+        <button id="paste">Paste</button>
+        <span id="separator"></span>
+        <div role="button" id="print">Print</div>
+        <button id="preview">Preview</button>
+      `;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      roving?.destroy();
+      roving = null;
+      container.remove();
+    });
+
+    const getTabindexes = () =>
+      Array.from(container.querySelectorAll('[tabindex]')).map((el) => [
+        el.id,
+        el.getAttribute('tabindex'),
+      ]);
+
+    const create = (values) =>
+      createRovingTabindex(container, {
+        ...options,
+        itemSelector: 'button, [role="button"]',
+        ...values,
+      });
+
+    it('keeps exactly one focusable item tabbable', () => {
+      roving = create();
+
+      expect(getElementIds(roving.getItems())).toEqual([
+        'copy',
+        'paste',
+        'print',
+        'preview',
+      ]);
+      expect(roving.getActiveItem().id).toBe('copy');
+      expect(getTabindexes()).toEqual([
+        ['cut', '-1'],
+        ['copy', '0'],
+        ['paste', '-1'],
+        ['print', '-1'],
+        ['preview', '-1'],
+      ]);
+    });
+
+    it('starts with the item that is already tabbable', () => {
+      container.querySelector('#print').setAttribute('tabindex', '0');
+      roving = create();
+
+      expect(roving.getActiveItem().id).toBe('print');
+      expect(container.querySelector('#copy').getAttribute('tabindex')).toBe(
+        '-1'
+      );
+    });
+
+    it('moves focus with arrow keys', () => {
+      roving = create();
+      roving.getActiveItem().focus();
+
+      pressKey('ArrowRight');
+      expect(document.activeElement.id).toBe('paste');
+      pressKey('ArrowDown');
+      expect(document.activeElement.id).toBe('print');
+      expect(getTabindexes()).toContainEqual(['print', '0']);
+      expect(getTabindexes()).toContainEqual(['paste', '-1']);
+      pressKey('ArrowLeft');
+      expect(document.activeElement.id).toBe('paste');
+      pressKey('ArrowUp');
+      expect(document.activeElement.id).toBe('copy');
+      pressKey('ArrowUp'); // wraps
+      expect(document.activeElement.id).toBe('preview');
+      pressKey('Home');
+      expect(document.activeElement.id).toBe('copy');
+      pressKey('End');
+      expect(document.activeElement.id).toBe('preview');
+    });
+
+    it('supports orientation, wrap and homeEnd options', () => {
+      roving = create({
+        orientation: 'horizontal',
+        wrap: false,
+        homeEnd: false,
+      });
+      roving.getActiveItem().focus();
+
+      pressKey('ArrowDown');
+      expect(document.activeElement.id).toBe('copy');
+      pressKey('ArrowLeft');
+      expect(document.activeElement.id).toBe('copy');
+      pressKey('End');
+      expect(document.activeElement.id).toBe('copy');
+      pressKey('ArrowRight');
+      expect(document.activeElement.id).toBe('paste');
+    });
+
+    it('swaps left and right in RTL', () => {
+      container.style.direction = 'rtl';
+      roving = create();
+      roving.getActiveItem().focus();
+
+      pressKey('ArrowLeft');
+      expect(document.activeElement.id).toBe('paste');
+    });
+
+    it('moves focus by type-ahead', () => {
+      jest.useFakeTimers();
+      try {
+        roving = create({ typeahead: true });
+        roving.getActiveItem().focus();
+
+        pressKey('p');
+        expect(document.activeElement.id).toBe('paste');
+        pressKey('p'); // cycles through items starting with "p"
+        expect(document.activeElement.id).toBe('print');
+        jest.advanceTimersByTime(500);
+        pressKey('p');
+        pressKey('r');
+        pressKey('e');
+        expect(document.activeElement.id).toBe('preview');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('makes a focused item active', () => {
+      roving = create();
+      container.querySelector('#print').focus();
+
+      expect(roving.getActiveItem().id).toBe('print');
+      expect(getTabindexes()).toContainEqual(['print', '0']);
+      expect(getTabindexes()).toContainEqual(['copy', '-1']);
+    });
+
+    it('moves the tab stop when the active item is removed or disabled', async () => {
+      roving = create();
+      roving.setActiveItem(container.querySelector('#paste'));
+
+      container.querySelector('#paste').remove();
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(roving.getActiveItem().id).toBe('print');
+      expect(getTabindexes()).toContainEqual(['print', '0']);
+
+      roving.setActiveItem(container.querySelector('#preview'));
+      container.querySelector('#preview').setAttribute('disabled', '');
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(roving.getActiveItem().id).toBe('print');
+
+      const newButton = document.createElement('button');
+      newButton.id = 'new';
+      container.append(newButton);
+      await new Promise((resolve) => setTimeout(resolve));
+      expect(getElementIds(roving.getItems())).toEqual([
+        'copy',
+        'print',
+        'new',
+      ]);
+      expect(newButton.getAttribute('tabindex')).toBe('-1');
+    });
+
+    it('stops managing the container when destroyed', () => {
+      roving = create();
+      roving.getActiveItem().focus();
+      roving.destroy();
+
+      pressKey('ArrowRight');
+      expect(document.activeElement.id).toBe('copy');
+    });
+
+    it('throws with no container', () => {
+      expect(() => createRovingTabindex()).toThrow('No container provided');
+    });
+  });
+
+  describe('focusgroup', () => {
+    let container, polyfill;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      polyfill?.destroy();
+      polyfill = null;
+      container.remove();
+    });
+
+    const focus = (id) => container.querySelector(`#${id}`).focus();
+
+    it('makes each focusgroup a single tab stop with the `focusgroup` option', () => {
+      container.innerHTML = `
+        <button id="before">before</button>
+        <div focusgroup>
+          <button id="a">a</button>
+          <button id="b">b</button>
+          <div focusgroup="none">
+            <button id="opted-out">opted out</button>
+          </div>
+          <div id="nested" tabindex="0" focusgroup>
+            <button id="nested-a">nested a</button>
+            <button id="nested-b">nested b</button>
+          </div>
+          <button id="c">c</button>
+        </div>
+        <button id="after">after</button>
+      `;
+
+      expectElementsInOrder(getElementIds(tabbable(container, options)), [
+        'before',
+        'a',
+        'b',
+        'opted-out',
+        'nested',
+        'nested-a',
+        'nested-b',
+        'c',
+        'after',
+      ]);
+      expectElementsInOrder(
+        getElementIds(tabbable(container, { ...options, focusgroup: true })),
+        ['before', 'a', 'opted-out', 'nested-a', 'after']
+      );
+      expectElementsInOrder(
+        getElementIds(
+          tabbable(container, {
+            ...options,
+            focusgroup: true,
+            direction: 'backward',
+          })
+        ),
+        ['before', 'opted-out', 'nested-b', 'c', 'after']
+      );
+      expectElementsInOrder(
+        getElementIds(
+          Array.from(
+            iterateTabbable(container, {
+              ...options,
+              focusgroup: true,
+              reverse: true,
+            })
+          )
+        ),
+        ['after', 'nested-a', 'opted-out', 'a', 'before']
+      );
+    });
+
+    it('moves focus with arrow keys', () => {
+      container.innerHTML = `
+        <div focusgroup>
+          <button id="a">a</button>
+          <button id="b" disabled>b</button>
+          <span id="c" tabindex="-1">c</span>
+          <button id="d">d</button>
+        </div>
+      `;
+      polyfill = polyfillFocusgroup(document, options);
+      focus('a');
+
+      pressKey('ArrowRight');
+      expect(getDeepActiveElement().id).toBe('c');
+      pressKey('ArrowDown');
+      expect(getDeepActiveElement().id).toBe('d');
+      pressKey('ArrowDown'); // no wrap
+      expect(getDeepActiveElement().id).toBe('d');
+      pressKey('ArrowLeft');
+      expect(getDeepActiveElement().id).toBe('c');
+      pressKey('Home');
+      expect(getDeepActiveElement().id).toBe('a');
+      pressKey('End');
+      expect(getDeepActiveElement().id).toBe('d');
+    });
+
+    it('supports the inline, block and wrap tokens', () => {
+      container.innerHTML = `
+        <div focusgroup="inline wrap">
+          <button id="inline-a">a</button>
+          <button id="inline-b">b</button>
+        </div>
+        <div focusgroup="block">
+          <button id="block-a">a</button>
+          <button id="block-b">b</button>
+        </div>
+      `;
+      polyfill = polyfillFocusgroup(document, options);
+
+      focus('inline-a');
+      pressKey('ArrowDown');
+      expect(getDeepActiveElement().id).toBe('inline-a');
+      pressKey('ArrowLeft');
+      expect(getDeepActiveElement().id).toBe('inline-b');
+
+      focus('block-a');
+      pressKey('ArrowRight');
+      expect(getDeepActiveElement().id).toBe('block-a');
+      pressKey('ArrowDown');
+      expect(getDeepActiveElement().id).toBe('block-b');
+    });
+
+    it('swaps left and right in RTL', () => {
+      container.innerHTML = `
+        <div focusgroup style="direction: rtl;">
+          <button id="a">a</button>
+          <button id="b">b</button>
+        </div>
+      `;
+      polyfill = polyfillFocusgroup(document, options);
+      focus('a');
+
+      pressKey('ArrowLeft');
+      expect(getDeepActiveElement().id).toBe('b');
+    });
+
+    it('supports the grid token', () => {
+      container.innerHTML = `
+        <table focusgroup="grid">
+          <tr>
+            <td><button id="r1c1">r1c1</button></td>
+            <td><button id="r1c2">r1c2</button></td>
+            <td><button id="r1c3">r1c3</button></td>
+          </tr>
+          <tr>
+            <td><button id="r2c1">r2c1</button></td>
+            <td><button id="r2c2">r2c2</button></td>
+          </tr>
+        </table>
+      `;
+      polyfill = polyfillFocusgroup(document, options);
+      focus('r1c1');
+
+      pressKey('ArrowRight');
+      expect(getDeepActiveElement().id).toBe('r1c2');
+      pressKey('ArrowDown');
+      expect(getDeepActiveElement().id).toBe('r2c2');
+      pressKey('ArrowRight'); // end of row
+      expect(getDeepActiveElement().id).toBe('r2c2');
+      pressKey('Home');
+      expect(getDeepActiveElement().id).toBe('r2c1');
+      pressKey('End', { ctrlKey: true });
+      expect(getDeepActiveElement().id).toBe('r2c2');
+      pressKey('Home', { ctrlKey: true });
+      expect(getDeepActiveElement().id).toBe('r1c1');
+      focus('r1c3');
+      pressKey('ArrowDown'); // shorter row
+      expect(getDeepActiveElement().id).toBe('r2c2');
+    });
+
+    it('moves focus into a focusgroup at its last focused item with Tab', () => {
+      container.innerHTML = `
+        <button id="before">before</button>
+        <div focusgroup>
+          <button id="a">a</button>
+          <button id="b">b</button>
+          <button id="c">c</button>
+        </div>
+        <button id="after">after</button>
+      `;
+      polyfill = polyfillFocusgroup(document, { ...options, container });
+
+      focus('before');
+      pressKey('Tab');
+      expect(getDeepActiveElement().id).toBe('a');
+      pressKey('ArrowRight');
+      expect(getDeepActiveElement().id).toBe('b');
+      pressKey('Tab');
+      expect(getDeepActiveElement().id).toBe('after');
+      pressKey('Tab', { shiftKey: true });
+      expect(getDeepActiveElement().id).toBe('b');
+      expectElementsInOrder(
+        getElementIds(tabbable(container, { ...options, focusgroup: true })),
+        ['before', 'b', 'after']
+      );
+    });
+
+    it('falls back to the first item when the last focused one is in another container', () => {
+      container.innerHTML = `
+        <div focusgroup>
+          <div id="c1">
+            <button id="b1">1</button>
+          </div>
+          <div id="c2">
+            <button id="b2">2</button>
+            <button id="b3">3</button>
+          </div>
+        </div>
+      `;
+      polyfill = polyfillFocusgroup(document, { ...options, container });
+
+      focus('b1');
+      const tabbableOptions = { ...options, focusgroup: true };
+      expect(
+        getElementIds(tabbable(container.querySelector('#c2'), tabbableOptions))
+      ).toEqual(['b2']);
+      expect(
+        getElementIds(tabbable(container.querySelector('#c1'), tabbableOptions))
+      ).toEqual(['b1']);
+      expect(
+        getElementIds(
+          Array.from(
+            iterateTabbable(container.querySelector('#c2'), tabbableOptions)
+          )
+        )
+      ).toEqual(['b2']);
+    });
+
+    it('supports focusgroups with items in shadow DOMs', () => {
+      container.innerHTML = `
+        <div focusgroup>
+          <button id="light">light</button>
+          <test-focusgroup-host id="host"></test-focusgroup-host>
+        </div>
+      `;
+      const host = container.querySelector('#host');
+      host.attachShadow({ mode: 'open' }).innerHTML = `
+        <button id="shadow-a">shadow a</button>
+        <div focusgroup>
+          <button id="nested-a">nested a</button>
+          <button id="nested-b">nested b</button>
+        </div>
+      `;
+      polyfill = polyfillFocusgroup(document, {
+        ...options,
+        getShadowRoot: true,
+      });
+      focus('light');
+
+      pressKey('ArrowRight');
+      expect(getDeepActiveElement().id).toBe('shadow-a');
+      pressKey('ArrowRight'); // nested focusgroup isn't an item
+      expect(getDeepActiveElement().id).toBe('shadow-a');
+
+      host.shadowRoot.querySelector('#nested-a').focus();
+      pressKey('ArrowRight');
+      expect(getDeepActiveElement().id).toBe('nested-b');
+    });
+  });
+
+  describe('grid navigation', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    const getModelIds = (model) =>
+      model.map((row) => row.map((cell) => cell?.id || null));
+
+    const find = (fromId, key, values) =>
+      findNextInGrid(
+        container.querySelector(`#${fromId}`),
+        { key, ...values },
+        options
+      )?.id;
+
+    it('maps table rows and cells to coordinates, with spans', () => {
+      container.innerHTML = `
+        <table id="grid">
+          <thead>
+            <tr><th id="h1">h1</th><th id="h2" colspan="2">h2</th></tr>
+          </thead>
+          <tbody>
+            <tr><td id="a1" rowspan="2">a1</td><td id="a2">a2</td><td id="a3">a3</td></tr>
+            <tr><td id="b2">b2</td></tr>
+          </tbody>
+        </table>
+      `;
+
+      expect(
+        getModelIds(getGridModel(container.querySelector('#grid')))
+      ).toEqual([
+        ['h1', 'h2', 'h2'],
+        ['a1', 'a2', 'a3'],
+        ['a1', 'b2', null],
+      ]);
+    });
+
+    it('maps ARIA rows and cells to coordinates, without nested grids', () => {
+      container.innerHTML = `
+        <div role="grid" id="grid">
+          <div role="row">
+            <span role="gridcell" id="a1" aria-colspan="2">a1</span>
+            <span role="gridcell" id="a3">
+              <div role="grid">
+                <div role="row"><span role="gridcell" id="nested">nested</span></div>
+              </div>
+            </span>
+          </div>
+          <div role="row">
+            <span role="rowheader" id="b1">b1</span>
+            <span role="gridcell" id="b2">b2</span>
+            <span role="gridcell" id="b3">b3</span>
+          </div>
+        </div>
+      `;
+
+      expect(
+        getModelIds(getGridModel(container.querySelector('#grid')))
+      ).toEqual([
+        ['a1', 'a1', 'a3'],
+        ['b1', 'b2', 'b3'],
+      ]);
+      expect(() => getGridModel()).toThrow('No grid provided');
+    });
+
+    it('picks the focus target of a cell', () => {
+      container.innerHTML = `
+        <table>
+          <tr>
+            <td id="focusable-cell" tabindex="-1"><button>button</button></td>
+            <td id="cell-with-controls">
+              <button id="disabled" disabled>disabled</button>
+              <a id="link" href="#">link</a>
+              <button id="other">other</button>
+            </td>
+            <td id="empty-cell">empty</td>
+          </tr>
+        </table>
+      `;
+      const getTargetId = (id) =>
+        getGridFocusTarget(container.querySelector(`#${id}`), options)?.id;
+
+      expect(getTargetId('focusable-cell')).toBe('focusable-cell');
+      expect(getTargetId('cell-with-controls')).toBe('link');
+      expect(getTargetId('empty-cell')).toBeUndefined();
+    });
+
+    it('finds the cell to move focus to', () => {
+      container.innerHTML = `
+        <div role="grid">
+          <div role="row">
+            <span role="gridcell" tabindex="-1" id="a1">a1</span>
+            <span role="gridcell" tabindex="-1" id="a2" aria-colspan="2">a2</span>
+            <span role="gridcell" tabindex="-1" id="a4">a4</span>
+          </div>
+          <div role="row">
+            <span role="gridcell" tabindex="-1" id="b1" aria-rowspan="2">b1</span>
+            <span role="gridcell" id="b2"><button id="b2-button">b2</button></span>
+            <span role="gridcell" id="b3">empty</span>
+            <span role="gridcell" tabindex="-1" id="b4">b4</span>
+          </div>
+          <div role="row">
+            <span role="gridcell" tabindex="-1" id="c2">c2</span>
+            <span role="gridcell" tabindex="-1" id="c3">c3</span>
+            <span role="gridcell" tabindex="-1" id="c4">c4</span>
+          </div>
+          <div role="row">
+            <span role="gridcell" tabindex="-1" id="d1">d1</span>
+            <span role="gridcell" tabindex="-1" id="d2">d2</span>
+          </div>
+        </div>
+      `;
+
+      expect(find('a1', 'ArrowRight')).toBe('a2');
+      expect(find('a2', 'ArrowRight')).toBe('a4'); // past the span
+      expect(find('a4', 'ArrowRight')).toBeUndefined();
+      expect(find('a1', 'ArrowLeft')).toBeUndefined();
+      expect(find('a2', 'ArrowDown')).toBe('b2-button');
+      expect(find('b2-button', 'ArrowRight')).toBe('b4'); // skips the empty cell
+      expect(find('b1', 'ArrowDown')).toBe('d1'); // past the span
+      expect(find('c2', 'ArrowLeft')).toBe('b1'); // spanned from the previous row
+      expect(find('c3', 'ArrowUp')).toBe('a2');
+      expect(find('d2', 'ArrowRight')).toBeUndefined();
+
+      expect(find('c3', 'Home')).toBe('b1');
+      expect(find('c2', 'End')).toBe('c4');
+      expect(find('c3', 'Home', { ctrlKey: true })).toBe('a1');
+      expect(find('a1', 'End', { ctrlKey: true })).toBe('d2');
+
+      expect(find('a4', 'PageDown')).toBe('c4'); // last row has no cell there
+      expect(find('c4', 'PageUp')).toBe('a4');
+      expect(find('a1', 'PageUp')).toBeUndefined();
+      expect(
+        findNextInGrid(
+          container.querySelector('#a1'),
+          { key: 'PageDown' },
+          { ...options, pageSize: 1 }
+        ).id
+      ).toBe('b1');
+
+      expect(find('a1', 'Enter')).toBeUndefined();
+    });
+
+    it('swaps left and right in RTL', () => {
+      container.innerHTML = `
+        <table style="direction: rtl;">
+          <tr>
+            <td id="a1" tabindex="-1">a1</td>
+            <td id="a2" tabindex="-1">a2</td>
+          </tr>
+        </table>
+      `;
+
+      expect(find('a1', 'ArrowLeft')).toBe('a2');
+      expect(find('a2', 'ArrowRight')).toBe('a1');
+    });
+  });
+
+  describe('createTypeahead', () => {
+    let container, typeahead;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      container = document.createElement('div');
+      container.innerHTML = `
+        <span id="label-apple">Apple</span>
+        <div role="listbox">
+          <div role="option" tabindex="0" id="labelledby" aria-labelledby="label-apple">
+            ignored text
+          </div>
+          <div role="option" tabindex="-1" id="aria-label" aria-label="Apricot">
+            ignored text
+          </div>
+          <label for="label">Banana</label>
+          <input type="checkbox" id="label" />
+          <div role="option" tabindex="-1" id="text">
+            Blue   berry
+          </div>
+          <button id="title" title="Cherry"></button>
+          <input type="text" id="text-field" />
+        </div>
+      `;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      typeahead?.destroy();
+      typeahead = null;
+      container.remove();
+      jest.useRealTimers();
+    });
+
+    const type = (chars) => chars.split('').forEach((key) => pressKey(key));
+
+    it('moves focus to the next match by accessible name', () => {
+      typeahead = createTypeahead(container, options);
+      container.querySelector('#title').focus();
+
+      type('a');
+      expect(document.activeElement.id).toBe('labelledby');
+      type('a'); // cycles
+      expect(document.activeElement.id).toBe('aria-label');
+      jest.advanceTimersByTime(500);
+      type('c');
+      expect(document.activeElement.id).toBe('title');
+      jest.advanceTimersByTime(500);
+      type('b');
+      expect(document.activeElement.id).toBe('label');
+      type('l'); // refines, from the focused node
+      expect(document.activeElement.id).toBe('text');
+      type('ue b'); // collapsed whitespace
+      expect(document.activeElement.id).toBe('text');
+    });
+
+    it('starts over after the timeout, or when reset', () => {
+      typeahead = createTypeahead(container, { ...options, timeout: 100 });
+      container.querySelector('#labelledby').focus();
+
+      type('b');
+      expect(document.activeElement.id).toBe('label');
+      jest.advanceTimersByTime(100);
+      type('a');
+      expect(document.activeElement.id).toBe('labelledby');
+      typeahead.reset();
+      type('c');
+      expect(document.activeElement.id).toBe('title');
+    });
+
+    it('only considers tabbable nodes with the `tabbable` option', () => {
+      typeahead = createTypeahead(container, { ...options, tabbable: true });
+      container.querySelector('#labelledby').focus();
+
+      type('a');
+      expect(document.activeElement.id).toBe('labelledby');
+    });
+
+    it('ignores characters typed in text fields, and Space when not typing', () => {
+      typeahead = createTypeahead(container, options);
+      container.querySelector('#text-field').focus();
+      type('a');
+      expect(document.activeElement.id).toBe('text-field');
+
+      container.querySelector('#title').focus();
+      type(' ');
+      expect(document.activeElement.id).toBe('title');
+    });
+
+    it('throws with no container', () => {
+      expect(() => createTypeahead()).toThrow('No container provided');
+    });
+  });
+
+  describe('createFocusScope', () => {
+    let outside, container, scope;
+
+    beforeEach(() => {
+      outside = document.createElement('button');
+      outside.id = 'outside';
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="first">first</button>
+        <span id="not-tabbable" tabindex="-1">not tabbable</span>
+        <button id="middle">middle</button>
+        <button id="last">last</button>
+      `;
+      document.body.append(outside, container);
+      outside.focus();
+    });
+
+    afterEach(() => {
+      scope?.destroy();
+      scope = null;
+      outside.remove();
+      container.remove();
+    });
+
+    const focus = (id) => container.querySelector(`#${id}`).focus();
+
+    it('moves focus to the initial focus, and returns it when destroyed', () => {
+      scope = createFocusScope(container, options);
+      expect(document.activeElement.id).toBe('first');
+
+      scope.destroy();
+      scope = null;
+      expect(document.activeElement.id).toBe('outside');
+
+      scope = createFocusScope(container, {
+        ...options,
+        initialFocus: '#middle',
+        returnFocus: container.querySelector('#last'),
+      });
+      expect(document.activeElement.id).toBe('middle');
+      scope.destroy();
+      scope = null;
+      expect(document.activeElement.id).toBe('last');
+
+      outside.focus();
+      scope = createFocusScope(container, {
+        ...options,
+        initialFocus: false,
+        returnFocus: false,
+      });
+      expect(document.activeElement.id).toBe('outside');
+    });
+
+    it('wraps Tab and Shift+Tab around', () => {
+      scope = createFocusScope(container, options);
+
+      focus('last');
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('first');
+
+      expect(pressKey('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('last');
+
+      // left to the browser
+      focus('middle');
+      expect(pressKey('Tab').defaultPrevented).toBe(false);
+      expect(pressKey('Tab', { shiftKey: true }).defaultPrevented).toBe(false);
+    });
+
+    it('moves focus from a node that is not tabbable', () => {
+      scope = createFocusScope(container, options);
+
+      focus('not-tabbable');
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('middle');
+
+      focus('not-tabbable');
+      pressKey('Tab', { shiftKey: true });
+      expect(document.activeElement.id).toBe('first');
+    });
+
+    it('keeps focus at either end when not looping', () => {
+      scope = createFocusScope(container, { ...options, loop: false });
+
+      focus('last');
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('last');
+
+      focus('first');
+      expect(pressKey('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('first');
+    });
+
+    it('supports focus deep inside shadow roots', () => {
+      const host = document.createElement('test-focus-scope-host');
+      host.attachShadow({ mode: 'open' }).innerHTML =
+        '<button id="shadow-last">shadow last</button>';
+      container.append(host);
+      scope = createFocusScope(container, { ...options, getShadowRoot: true });
+
+      focus('last');
+      expect(pressKey('Tab').defaultPrevented).toBe(false);
+
+      host.shadowRoot.querySelector('#shadow-last').focus();
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('first');
+
+      pressKey('Tab', { shiftKey: true });
+      expect(getDeepActiveElement().id).toBe('shadow-last');
+    });
+
+    it('throws with no container', () => {
+      expect(() => createFocusScope()).toThrow('No container provided');
+    });
+  });
+
+  describe('createFocusScopeStack', () => {
+    let container, stack;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="before">before</button>
+        <button id="open-drawer">open drawer</button>
+        <button id="after">after</button>
+        <div id="drawer">
+          <button id="drawer-first">drawer first</button>
+          <button id="open-modal">open modal</button>
+        </div>
+        <div id="modal">
+          <button id="modal-first">modal first</button>
+          <button id="modal-last">modal last</button>
+        </div>
+      `;
+      document.body.append(container);
+      stack = createFocusScopeStack();
+    });
+
+    afterEach(() => {
+      while (stack.getActiveScope()) {
+        stack.pop();
+      }
+      container.remove();
+    });
+
+    const get = (id) => container.querySelector(`#${id}`);
+
+    it('only keeps focus in the top-most scope', () => {
+      get('open-drawer').focus();
+      const drawerScope = stack.push(get('drawer'), options);
+      expect(document.activeElement.id).toBe('drawer-first');
+
+      get('open-modal').focus();
+      const modalScope = stack.push(get('modal'), options);
+      expect(stack.getActiveScope()).toBe(modalScope);
+      expect(document.activeElement.id).toBe('modal-first');
+
+      // the drawer's scope is paused
+      get('open-modal').focus();
+      expect(pressKey('Tab').defaultPrevented).toBe(false);
+
+      get('modal-last').focus();
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('modal-first');
+
+      expect(stack.pop()).toBe(modalScope);
+      expect(stack.getActiveScope()).toBe(drawerScope);
+      expect(document.activeElement.id).toBe('open-modal');
+
+      // the drawer's scope is resumed
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('drawer-first');
+
+      stack.pop();
+      expect(stack.getActiveScope()).toBe(null);
+      expect(document.activeElement.id).toBe('open-drawer');
+      expect(stack.pop()).toBe(null);
+    });
+
+    it('pauses and resumes the top-most scope', () => {
+      stack.push(get('drawer'), options);
+      stack.pause();
+
+      get('open-modal').focus();
+      expect(pressKey('Tab').defaultPrevented).toBe(false);
+
+      // scopes pushed while paused are paused too
+      stack.push(get('modal'), options);
+      get('modal-last').focus();
+      expect(pressKey('Tab').defaultPrevented).toBe(false);
+
+      stack.pop();
+      get('open-modal').focus();
+      expect(pressKey('Tab').defaultPrevented).toBe(false);
+
+      stack.resume();
+      expect(pressKey('Tab').defaultPrevented).toBe(true);
+      expect(document.activeElement.id).toBe('drawer-first');
+    });
+
+    it('restores focus to the nearest tabbable node', () => {
+      get('open-drawer').focus();
+      stack.push(get('drawer'), options);
+      get('open-drawer').remove();
+      stack.pop();
+      expect(document.activeElement.id).toBe('after');
+
+      get('after').focus();
+      stack.push(get('drawer'), options);
+      get('after').disabled = true;
+      stack.pop();
+      expect(document.activeElement.id).toBe('drawer-first');
+
+      // nothing follows it
+      get('open-modal').focus();
+      stack.push(get('modal'), options);
+      get('modal').remove();
+      get('drawer').remove();
+      stack.pop();
+      expect(document.activeElement.id).toBe('before');
+    });
+
+    it('contains focus in the top-most scope', () => {
+      stack.push(get('drawer'), { ...options, contain: true });
+      stack.push(get('modal'), { ...options, contain: true });
+
+      get('modal-last').focus();
+      get('before').focus();
+      expect(document.activeElement.id).toBe('modal-last');
+
+      stack.pop();
+      get('open-modal').focus();
+      get('before').focus();
+      expect(document.activeElement.id).toBe('open-modal');
+    });
+  });
+
+  describe('saveFocus/restoreFocus', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('ul');
+      container.innerHTML = `
+        <li id="item-1"><button id="delete-1">delete 1</button></li>
+        <li id="item-2"><button id="delete-2">delete 2</button></li>
+        <li id="item-3" tabindex="-1"><button id="delete-3">delete 3</button></li>
+      `;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+      document.activeElement?.blur();
+    });
+
+    const get = (id) => container.querySelector(`#${id}`);
+
+    it('restores focus to the saved node', () => {
+      get('delete-2').focus();
+      const token = saveFocus({ ...options, container });
+      expect(token.node).toBe(get('delete-2'));
+
+      get('delete-1').focus();
+      expect(restoreFocus(token)).toBe(get('delete-2'));
+      expect(document.activeElement).toBe(get('delete-2'));
+    });
+
+    it('falls back to the next, then previous tabbable node', () => {
+      get('delete-2').focus();
+      let token = saveFocus({ ...options, container });
+      get('item-2').remove();
+      expect(restoreFocus(token).id).toBe('delete-3');
+
+      token = saveFocus({ ...options, container });
+      get('delete-3').disabled = true;
+      expect(restoreFocus(token).id).toBe('delete-1');
+    });
+
+    it('finds the nearest tabbable node as the document is when restoring focus', () => {
+      get('delete-2').focus();
+      const token = saveFocus({ ...options, container });
+      get('item-2').insertAdjacentHTML(
+        'afterend',
+        '<li id="item-new"><button id="delete-new">delete new</button></li>'
+      );
+      get('item-2').remove();
+
+      expect(restoreFocus(token).id).toBe('delete-new');
+    });
+
+    it('uses the position of a node that is not tabbable', () => {
+      get('item-3').focus();
+      let token = saveFocus({ ...options, container });
+      get('item-3').remove();
+      expect(restoreFocus(token).id).toBe('delete-2');
+
+      get('item-1').tabIndex = -1;
+      get('item-1').focus();
+      token = saveFocus({ ...options, container });
+      get('item-1').remove();
+      expect(restoreFocus(token).id).toBe('delete-2');
+    });
+
+    it('falls back to the container', () => {
+      get('delete-2').focus();
+      const token = saveFocus({ ...options, container });
+      container.innerHTML = '<li><button id="new">new</button></li>';
+      expect(restoreFocus(token).id).toBe('new');
+
+      container.innerHTML = '';
+      expect(restoreFocus(token)).toBe(null);
+
+      container.tabIndex = -1;
+      expect(restoreFocus(token)).toBe(container);
+
+      container.remove();
+      expect(restoreFocus(token)).toBe(null);
+    });
+
+    it('looks for another node in the container it is given', () => {
+      const other = document.createElement('div');
+      other.innerHTML = '<button id="other">other</button>';
+      document.body.append(other);
+
+      get('delete-2').focus();
+      const token = saveFocus({ ...options, container });
+      container.innerHTML = '';
+      expect(restoreFocus(token, { container: other }).id).toBe('other');
+
+      other.remove();
+    });
+
+    it('restores focus inside shadow roots', () => {
+      const host = document.createElement('test-save-focus-host');
+      host.attachShadow({ mode: 'open' }).innerHTML =
+        '<button id="shadow-1">shadow 1</button><button id="shadow-2">shadow 2</button>';
+      container.append(host);
+
+      const shadow1 = host.shadowRoot.querySelector('#shadow-1');
+      shadow1.focus();
+      const token = saveFocus({ ...options, container, getShadowRoot: true });
+      expect(token.node).toBe(shadow1);
+
+      shadow1.remove();
+      expect(restoreFocus(token).id).toBe('shadow-2');
+    });
+
+    it('throws with no token', () => {
+      expect(() => restoreFocus()).toThrow('No token provided');
+    });
+  });
+
+  describe('getDeepActiveElement/containsFocus', () => {
+    let container, host, shadowRoot;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="outside">outside</button>
+        <test-deep-focus-host id="host">
+          <button id="slotted">slotted</button>
+        </test-deep-focus-host>
+      `;
+      document.body.append(container);
+      host = container.querySelector('#host');
+    });
+
+    afterEach(() => {
+      container.remove();
+      document.activeElement?.blur();
+    });
+
+    const attachShadow = (mode) => {
+      shadowRoot = host.attachShadow({ mode });
+      shadowRoot.innerHTML = `
+        <button id="shadow">shadow</button>
+        <div id="wrapper"><slot></slot></div>
+      `;
+    };
+
+    it('finds the focused node inside open shadow roots', () => {
+      attachShadow('open');
+      shadowRoot.querySelector('#shadow').focus();
+      expect(document.activeElement).toBe(host);
+      expect(getDeepActiveElement().id).toBe('shadow');
+      expect(getDeepActiveElement(shadowRoot).id).toBe('shadow');
+
+      expect(containsFocus(host)).toBe(true);
+      expect(containsFocus(shadowRoot.querySelector('#wrapper'))).toBe(false);
+      expect(containsFocus(container.querySelector('#outside'))).toBe(false);
+    });
+
+    it('finds the focused node inside closed shadow roots', () => {
+      attachShadow('closed');
+      const getShadowRoot = (node) => node === host && shadowRoot;
+
+      shadowRoot.querySelector('#shadow').focus();
+      expect(getDeepActiveElement()).toBe(host);
+      expect(getDeepActiveElement(document, { getShadowRoot }).id).toBe(
+        'shadow'
+      );
+      expect(
+        getDeepActiveElement(document, {
+          getShadowRoot: (node) => node === host,
+        })
+      ).toBe(host);
+    });
+
+    it('treats slotted nodes as inside their slot', () => {
+      attachShadow('open');
+      container.querySelector('#slotted').focus();
+
+      expect(getDeepActiveElement().id).toBe('slotted');
+      expect(containsFocus(shadowRoot.querySelector('#wrapper'))).toBe(true);
+      expect(containsFocus(host)).toBe(true);
+      expect(containsFocus(container)).toBe(true);
+    });
+
+    it('treats slotted nodes as inside their slot in closed shadow roots', () => {
+      attachShadow('closed');
+      container.querySelector('#slotted').focus();
+
+      const wrapper = shadowRoot.querySelector('#wrapper');
+      expect(containsFocus(wrapper)).toBe(false);
+      expect(
+        containsFocus(wrapper, {
+          getShadowRoot: (node) => node === host && shadowRoot,
+        })
+      ).toBe(true);
+    });
+
+    it('throws with no container', () => {
+      expect(() => containsFocus()).toThrow('No container provided');
+    });
+  });
+
+  describe('popovers', () => {
+    let container;
+
+    beforeEach(() => {
+      // NOTE: JSDom doesn't support the Popover API, so open popovers are marked with
+      //  a `data-open` attribute instead
+      const matches = Element.prototype.matches;
+      jest
+        .spyOn(Element.prototype, 'matches')
+        .mockImplementation(function (selector) {
+          return selector === ':popover-open'
+            ? this.hasAttribute('data-open')
+            : matches.call(this, selector);
+        });
+
+      container = document.createElement('div');
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      container.remove();
+    });
+
+    it('puts the content of an open popover after its invoker', () => {
+      container.innerHTML = `
+        <button id="invoker" popovertarget="popover">invoker</button>
+        <button id="after-invoker">after invoker</button>
+        <div id="popover" popover data-open>
+          <button id="popover-1">popover 1</button>
+          <button id="popover-2">popover 2</button>
+        </div>
+        <button id="after-popover">after popover</button>
+      `;
+      const expected = [
+        'invoker',
+        'popover-1',
+        'popover-2',
+        'after-invoker',
+        'after-popover',
+      ];
+
+      expect(getElementIds(tabbable(container, options))).toEqual(expected);
+      expect(
+        getElementIds(tabbable(container, { ...options, getShadowRoot: true }))
+      ).toEqual(expected);
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, options)))
+      ).toEqual(expected);
+      expect(
+        getElementIds(
+          Array.from(iterateTabbable(container, { ...options, reverse: true }))
+        )
+      ).toEqual([...expected].reverse());
+      expect(
+        getNextTabbable(container.querySelector('#popover-2'), {
+          ...options,
+          container,
+        }).id
+      ).toBe('after-invoker');
+
+      container.querySelector('#popover').removeAttribute('data-open');
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'invoker',
+        'after-invoker',
+        'popover-1',
+        'popover-2',
+        'after-popover',
+      ]);
+    });
+
+    it('puts the content right after its invoker, whatever their tabindex', () => {
+      container.innerHTML = `
+        <button id="first">first</button>
+        <button id="invoker" popovertarget="popover" tabindex="1">invoker</button>
+        <div id="popover" popover data-open>
+          <button id="popover-1">popover 1</button>
+          <button id="popover-2" tabindex="2">popover 2</button>
+        </div>
+      `;
+
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'invoker',
+        'popover-2',
+        'popover-1',
+        'first',
+      ]);
+    });
+
+    it('supports nested popovers', () => {
+      container.innerHTML = `
+        <button id="invoker-1" popovertarget="popover-1">invoker 1</button>
+        <button id="last">last</button>
+        <div id="popover-2" popover data-open>
+          <button id="in-popover-2">in popover 2</button>
+        </div>
+        <div id="popover-1" popover data-open>
+          <button id="invoker-2" popovertarget="popover-2">invoker 2</button>
+          <div id="popover-3" popover="manual" data-open>
+            <button id="in-popover-3">in popover 3</button>
+          </div>
+          <button id="invoker-3" popovertarget="popover-3">invoker 3</button>
+        </div>
+      `;
+
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'invoker-1',
+        'invoker-2',
+        'in-popover-2',
+        'invoker-3',
+        'in-popover-3',
+        'last',
+      ]);
+    });
+
+    it('ignores buttons that are not invokers', () => {
+      container.innerHTML = `
+        <form>
+          <button id="submit" popovertarget="popover">submit</button>
+        </form>
+        <button id="disabled" popovertarget="popover" disabled>disabled</button>
+        <button id="hidden" popovertarget="popover" tabindex="-1">hidden</button>
+        <a id="link" href="#" popovertarget="popover">link</a>
+        <button id="other">other</button>
+        <div id="popover" popover data-open>
+          <button id="close" popovertarget="popover">close</button>
+        </div>
+      `;
+
+      const expected = ['submit', 'link', 'other', 'close'];
+      expect(getElementIds(tabbable(container, options))).toEqual(expected);
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, options)))
+      ).toEqual(expected);
+    });
+  });
+
+  describe('modal dialogs', () => {
+    let container;
+
+    beforeEach(() => {
+      // NOTE: JSDom doesn't support the `:modal` pseudo-class, so modal dialogs are
+      //  marked with a `data-modal` attribute instead
+      const querySelectorAll = document.querySelectorAll;
+      jest
+        .spyOn(document, 'querySelectorAll')
+        .mockImplementation(function (selector) {
+          return querySelectorAll.call(
+            this,
+            selector === 'dialog:modal' ? 'dialog[data-modal]' : selector
+          );
+        });
+
+      container = document.createElement('div');
+      container.innerHTML = `
+        <button id="page-button">page button</button>
+        <dialog id="dialog" open>
+          <button id="dialog-button">dialog button</button>
+        </dialog>
+      `;
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      container.remove();
+    });
+
+    it('treats content outside the top-most modal dialog as inert', () => {
+      const dialog = container.querySelector('#dialog');
+      const pageButton = container.querySelector('#page-button');
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'page-button',
+        'dialog-button',
+      ]);
+
+      dialog.setAttribute('data-modal', '');
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'dialog-button',
+      ]);
+      expect(getElementIds(focusable(container, options))).toEqual([
+        'dialog-button',
+      ]);
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, options)))
+      ).toEqual(['dialog-button']);
+      expect(isFocusable(pageButton, options)).toBe(false);
+      expect(explainTabbable(pageButton, options).reasons).toEqual([
+        { code: 'outside-modal', element: dialog },
+      ]);
+
+      expect(
+        getElementIds(tabbable(container, { ...options, modalCheck: false }))
+      ).toEqual(['page-button', 'dialog-button']);
+      expect(isTabbable(pageButton, { ...options, modalCheck: false })).toBe(
+        true
+      );
+    });
+
+    it('only treats content outside the fullscreen element as inert on request', () => {
+      const player = document.createElement('div');
+      player.innerHTML = '<button id="player-button">player button</button>';
+      container.append(player);
+      const pageButton = container.querySelector('#page-button');
+      // NOTE: JSDom doesn't support the Fullscreen API
+      Object.defineProperty(document, 'fullscreenElement', {
+        configurable: true,
+        value: player,
+      });
+
+      try {
+        expect(getElementIds(tabbable(container, options))).toEqual([
+          'page-button',
+          'dialog-button',
+          'player-button',
+        ]);
+        expect(isTabbable(pageButton, options)).toBe(true);
+
+        const fullscreenOptions = { ...options, modalCheck: 'fullscreen' };
+        expect(getElementIds(tabbable(container, fullscreenOptions))).toEqual([
+          'player-button',
+        ]);
+        expect(explainTabbable(pageButton, fullscreenOptions).reasons).toEqual([
+          { code: 'outside-modal', element: player },
+        ]);
+      } finally {
+        delete document.fullscreenElement;
+      }
+    });
+  });
+
+  describe('iframes option', () => {
+    let container;
+
+    const appendFrame = (id, html) => {
+      const iframe = document.createElement('iframe');
+      iframe.id = id;
+      container.append(iframe);
+      iframe.contentDocument.body.innerHTML = html;
+      return iframe;
+    };
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = '<button id="before">before</button>';
+      document.body.append(container);
+      appendFrame(
+        'frame',
+        `<button id="frame-button">frame button</button>
+        <a id="frame-link" href="#" tabindex="1">frame link</a>`
+      );
+      container.insertAdjacentHTML(
+        'beforeend',
+        '<button id="after">after</button>'
+      );
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('ignores iframes by default, and when set to "skip"', () => {
+      const iframe = container.querySelector('#frame');
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'before',
+        'after',
+      ]);
+      expect(isFocusable(iframe, options)).toBe(true);
+
+      const skipOptions = { ...options, iframes: 'skip' };
+      expect(isFocusable(iframe, skipOptions)).toBe(false);
+      expect(explainFocusable(iframe, skipOptions).reasons).toEqual([
+        { code: 'not-candidate', element: iframe },
+      ]);
+      iframe.tabIndex = 0;
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'before',
+        'frame',
+        'after',
+      ]);
+      expect(getElementIds(tabbable(container, skipOptions))).toEqual([
+        'before',
+        'after',
+      ]);
+    });
+
+    it('treats iframes as single nodes when set to "element"', () => {
+      const elementOptions = { ...options, iframes: 'element' };
+      expect(getElementIds(tabbable(container, elementOptions))).toEqual([
+        'before',
+        'frame',
+        'after',
+      ]);
+      expect(getElementIds(focusable(container, elementOptions))).toEqual([
+        'before',
+        'frame',
+        'after',
+      ]);
+      expect(
+        isTabbable(container.querySelector('#frame'), elementOptions)
+      ).toBe(true);
+    });
+
+    it('descends into same-origin iframes when set to "descend"', () => {
+      const descendOptions = { ...options, iframes: 'descend' };
+
+      // the iframe's document has its own tab order
+      const expected = ['before', 'frame-link', 'frame-button', 'after'];
+      expect(getElementIds(tabbable(container, descendOptions))).toEqual(
+        expected
+      );
+      expect(
+        getElementIds(
+          tabbable(container, { ...descendOptions, getShadowRoot: true })
+        )
+      ).toEqual(expected);
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, descendOptions)))
+      ).toEqual(expected);
+      expect(getElementIds(focusable(container, descendOptions))).toEqual([
+        'before',
+        'frame-button',
+        'frame-link',
+        'after',
+      ]);
+      expect(
+        getElementIds(tabbable(container, { ...descendOptions, order: 'dom' }))
+      ).toEqual(['before', 'frame-button', 'frame-link', 'after']);
+    });
+
+    it('descends into nested iframes', () => {
+      const iframe = container.querySelector('#frame');
+      const nested = iframe.contentDocument.createElement('iframe');
+      iframe.contentDocument.body.prepend(nested);
+      nested.contentDocument.body.innerHTML =
+        '<button id="nested-button">nested</button>';
+
+      expect(
+        getElementIds(tabbable(container, { ...options, iframes: 'descend' }))
+      ).toEqual([
+        'before',
+        'frame-link',
+        'nested-button',
+        'frame-button',
+        'after',
+      ]);
+    });
+
+    it('does not descend into inert iframes', () => {
+      const descendOptions = { ...options, iframes: 'descend' };
+      container.querySelector('#frame').setAttribute('inert', '');
+
+      expect(getElementIds(tabbable(container, descendOptions))).toEqual([
+        'before',
+        'after',
+      ]);
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, descendOptions)))
+      ).toEqual(['before', 'after']);
+      expect(
+        lastTabbable(container, { ...descendOptions, includeContainer: false })
+          .id
+      ).toBe('after');
+    });
+
+    it('reports cross-origin iframes as opaque scopes', () => {
+      const iframe = container.querySelector('#frame');
+      Object.defineProperty(iframe, 'contentDocument', { value: null });
+
+      expect(
+        getElementIds(tabbable(container, { ...options, iframes: 'descend' }))
+      ).toEqual(['before', 'frame', 'after']);
+    });
+
+    it('throws with an invalid value', () => {
+      const invalidOptions = { iframes: 'all' };
+      expect(() => tabbable(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => focusable(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => iterateTabbable(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => firstTabbable(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => isFocusable(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => explainTabbable(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => createTypeahead(container, invalidOptions)).toThrow(
+        'Invalid iframes "all"'
+      );
+      expect(() => iterateFocusable(container, { order: 'foo' })).toThrow(
+        'Invalid order "foo"'
+      );
+    });
+  });
+
+  describe('image maps', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = fixtures['image-map'];
+      document.body.append(container);
+    });
+
+    afterEach(() => {
+      container.remove();
+    });
+
+    it('finds areas with an `href` attribute in image maps', () => {
+      // NOTE: with `displayCheck: 'none'`, areas in hidden or unused image maps are
+      //  included too since their display isn't checked
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'area-1',
+        'area-2',
+        'hidden-image-area',
+        'unused-map-area',
+      ]);
+      expect(getElementIds(focusable(container, options))).toEqual([
+        'area-1',
+        'area-2',
+        'area-negative-tabindex',
+        'hidden-image-area',
+        'unused-map-area',
+      ]);
+      expect(isTabbable(container.querySelector('#area-1'), options)).toBe(
+        true
+      );
+      expect(
+        isFocusable(container.querySelector('#area-no-href'), options)
+      ).toBe(false);
+    });
+
+    it('derives the visibility of areas from their image', () => {
+      const image = container.querySelector('#image');
+      const area = container.querySelector('#area-1');
+      image.style.visibility = 'hidden';
+
+      expect(isTabbable(area, options)).toBe(false);
+      expect(explainTabbable(area, options).reasons).toEqual([
+        { code: 'visibility-hidden', element: image },
+      ]);
+
+      // the map can be referenced by its ID too
+      image.style.visibility = '';
+      image.setAttribute('usemap', '#unused-map-id');
+      container
+        .querySelector('map[name="unused-map"]')
+        .setAttribute('id', 'unused-map-id');
+      expect(
+        isTabbable(container.querySelector('#unused-map-area'), options)
+      ).toBe(true);
+      expect(explainTabbable(area, options).reasons).toEqual([]);
+      expect(explainTabbable(area, { displayCheck: 'full' }).reasons).toEqual([
+        { code: 'not-displayed', element: area },
+      ]);
+    });
+
+    it('puts areas in tab order at the position of their image', () => {
+      container.innerHTML = `
+        <button id="first">first</button>
+        <img usemap="#late-map" alt="image" />
+        <button id="middle">middle</button>
+        <map name="late-map">
+          <area id="late-area-1" href="#1" alt="area 1" />
+          <area id="late-area-2" href="#2" alt="area 2" />
+        </map>
+        <button id="last">last</button>
+      `;
+
+      const expected = [
+        'first',
+        'late-area-1',
+        'late-area-2',
+        'middle',
+        'last',
+      ];
+      expect(getElementIds(tabbable(container, options))).toEqual(expected);
+      expect(
+        getElementIds(tabbable(container, { ...options, order: 'visual' }))
+      ).toEqual(expected);
+      expect(
+        getElementIds(Array.from(iterateTabbable(container, options)))
+      ).toEqual(expected);
+      expect(getElementIds(focusable(container, options))).toEqual([
+        'first',
+        'middle',
+        'late-area-1',
+        'late-area-2',
+        'last',
+      ]);
+    });
+
+    it('checks every image that uses the map of an area', () => {
+      container.innerHTML = `
+        <img id="hidden" usemap="#shared-map" style="visibility: hidden;" alt="image" />
+        <button id="middle">middle</button>
+        <img id="shown" usemap="#shared-map" alt="image" />
+        <map name="shared-map">
+          <area id="shared-area" href="#shared" alt="area" />
+        </map>
+      `;
+      const area = container.querySelector('#shared-area');
+
+      expect(isTabbable(area, options)).toBe(true);
+      // the areas are where the displayed image is
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'middle',
+        'shared-area',
+      ]);
+
+      container.querySelector('#shown').style.visibility = 'hidden';
+      expect(explainTabbable(area, options).reasons).toEqual([
+        {
+          code: 'visibility-hidden',
+          element: container.querySelector('#hidden'),
+        },
+      ]);
+    });
+  });
+
+  describe('SVG and MathML', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      container.innerHTML = fixtures.svg;
+      document.body.append(container);
+
+      // NOTE: JSDom's `getComputedStyle()` throws for MathML elements because they
+      //  don't have a `style` in JSDom
+      const getComputedStyle = window.getComputedStyle;
+      jest
+        .spyOn(window, 'getComputedStyle')
+        .mockImplementation((node) =>
+          node.namespaceURI === 'http://www.w3.org/1998/Math/MathML'
+            ? { visibility: 'visible' }
+            : getComputedStyle(node)
+        );
+    });
+
+    afterEach(() => {
+      container.remove();
+      jest.restoreAllMocks();
+    });
+
+    it('finds SVG links, `<foreignObject>` content, and elements with a tabindex', () => {
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'svg-btn',
+        'svg-1',
+        'svg-link',
+        'svg-xlink',
+        'foreign-object-btn',
+        'math-tabindex',
+      ]);
+      expect(getElementIds(focusable(container, options))).toEqual([
+        'svg-btn',
+        'svg-1',
+        'svg-2',
+        'svg-link',
+        'svg-xlink',
+        'svg-link-negative-tabindex',
+        'foreign-object-btn',
+        'math-tabindex',
+        'math-negative-tabindex',
+      ]);
+    });
+
+    it('resolves the tab index of SVG and MathML elements from the attribute', () => {
+      const mathNode = container.querySelector('#math-tabindex');
+      mathNode.setAttribute('tabindex', '1');
+
+      expect(getElementIds(tabbable(container, options))).toEqual([
+        'math-tabindex',
+        'svg-btn',
+        'svg-1',
+        'svg-link',
+        'svg-xlink',
+        'foreign-object-btn',
+      ]);
+      expect(
+        isTabbable(container.querySelector('#math-negative-tabindex'), options)
+      ).toBe(false);
+      expect(
+        isFocusable(container.querySelector('#math-negative-tabindex'), options)
+      ).toBe(true);
+    });
+
+    it('only considers SVG and MathML elements with HTML names as candidates if they have a tabindex', () => {
+      const svg = container.querySelector('#svg-3');
+      const button = document.createElementNS(
+        'http://www.w3.org/2000/svg',
+        'button'
+      );
+      const editable = document.createElementNS(
+        'http://www.w3.org/1998/Math/MathML',
+        'mi'
+      );
+      editable.setAttribute('contenteditable', '');
+      svg.append(button);
+      container.querySelector('#math').append(editable);
+
+      expect(isFocusable(button, options)).toBe(false);
+      expect(explainFocusable(editable, options).reasons).toEqual([
+        { code: 'not-candidate', element: editable },
+      ]);
+      expect(
+        isFocusable(container.querySelector('#svg-link-no-href'), options)
+      ).toBe(false);
+      expect(
+        isFocusable(container.querySelector('#math-no-tabindex'), options)
+      ).toBe(false);
+
+      button.setAttribute('tabindex', '0');
+      expect(isTabbable(button, options)).toBe(true);
+    });
+  });
 });